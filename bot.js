@@ -3,60 +3,151 @@ const { createClient } = require('@supabase/supabase-js');
 const TelegramBot = require('node-telegram-bot-api');
 const AWS = require('aws-sdk');
 global.WebSocket = require('ws'); // Essential for Supabase real-time connections
-
-const SUPABASE_URL = process.env.SUPABASE_URL;
-const SUPABASE_KEY = process.env.SUPABASE_KEY;
-const TELEGRAM_TOKEN = process.env.TELEGRAM_TOKEN;
-const CHAT_ID = process.env.CHAT_ID;
-const AWS_REGION = process.env.AWS_REGION;
-const AWS_ACCESS_KEY_ID = process.env.AWS_ACCESS_KEY_ID;
-const AWS_SECRET_ACCESS_KEY = process.env.AWS_SECRET_ACCESS_KEY;
-const SQS_QUEUE_URL = process.env.SQS_QUEUE_URL;
-
-if (!SUPABASE_URL || !SUPABASE_KEY || !TELEGRAM_TOKEN || !CHAT_ID) {
-  console.error('Missing required environment variables.');
-  process.exit(1);
-}
-
-if (!AWS_REGION || !AWS_ACCESS_KEY_ID || !AWS_SECRET_ACCESS_KEY || !SQS_QUEUE_URL) {
-  console.error('Missing required AWS/SQS environment variables.');
-  process.exit(1);
+const fs = require('fs');
+const path = require('path');
+const { loadMessageTemplates, createMessageRenderer } = require('./lib/messages');
+const { loadRules, createRuleEngine } = require('./lib/rules');
+const { createMuteList } = require('./lib/mutes');
+const { loadWatchlist, validateWatchlist, createWatchlist, rowOwner } = require('./lib/watchlist');
+const { loadQuietHours, validateQuietHours, createQuietHours, buildQuietDigest } = require('./lib/quiet');
+const { createEventCounters } = require('./lib/stats');
+const { createTradeIncidentMonitor } = require('./lib/incidents');
+const { createWalletTracker } = require('./lib/wallets');
+const { createReporter, startReportScheduler } = require('./lib/reports');
+const { registerAdminCommands, registerSubscriberCommands, registerStartCommand } = require('./lib/commands');
+const { createSubscribers } = require('./lib/subscribers');
+const { loadRouting, defaultRouting, createRouter, DESTINATION_TYPES } = require('./lib/routing');
+const { createOutbox } = require('./lib/outbox');
+const {
+  createNotifier,
+  createTelegramNotifier,
+  createMessageThreads,
+  createSlackNotifier,
+  createDiscordNotifier,
+  createWebhookNotifier,
+  sendTelegram
+} = require('./lib/notifiers');
+const { createButtonBuilder } = require('./lib/buttons');
+const { createRealtimeSubscription } = require('./lib/realtime');
+const { createStore } = require('./lib/store');
+const { createSQSConsumer, combineStatus, watchDeadLetterQueue, queueName } = require('./lib/sqs');
+const { validateMessage } = require('./lib/schemas');
+const { createMetrics } = require('./lib/metrics');
+const { startHealthServer, evaluateHealth } = require('./lib/health');
+const { log, configureLogger, withCorrelation } = require('./lib/logger');
+
+// Every setting comes from the environment. Reading them has no side effects,
+// so replay mode can build a config without any credentials.
+function loadConfig(env = process.env) {
+  return {
+    SUPABASE_URL: env.SUPABASE_URL,
+    SUPABASE_KEY: env.SUPABASE_KEY,
+    TELEGRAM_TOKEN: env.TELEGRAM_TOKEN,
+    CHAT_ID: env.CHAT_ID,
+    AWS_REGION: env.AWS_REGION,
+    AWS_ACCESS_KEY_ID: env.AWS_ACCESS_KEY_ID,
+    AWS_SECRET_ACCESS_KEY: env.AWS_SECRET_ACCESS_KEY,
+    // One or more queues (SQS_QUEUE_URLS is comma separated), each polled by its own consumer
+    SQS_QUEUE_URLS: (env.SQS_QUEUE_URLS || env.SQS_QUEUE_URL || '').split(',').map(url => url.trim()).filter(Boolean),
+    SQS_CONCURRENCY: Number(env.SQS_CONCURRENCY || 10),
+    SQS_VISIBILITY_TIMEOUT: Number(env.SQS_VISIBILITY_TIMEOUT || 30),
+    // Points the SQS client at a local stand-in such as ElasticMQ or LocalStack
+    SQS_ENDPOINT: env.SQS_ENDPOINT,
+    SQS_DLQ_URL: env.SQS_DLQ_URL,
+    SQS_MAX_ATTEMPTS: Number(env.SQS_MAX_ATTEMPTS || 5),
+    QUARANTINE_FILE: env.QUARANTINE_FILE || path.join(__dirname, 'data', 'quarantine.jsonl'),
+    DLQ_CHECK_INTERVAL_MS: Number(env.DLQ_CHECK_INTERVAL_MS || 60000),
+    RULES_FILE: env.RULES_FILE || path.join(__dirname, 'config', 'rules.json'),
+    TEMPLATES_FILE: env.TEMPLATES_FILE || path.join(__dirname, 'config', 'templates.json'),
+    TEMPLATES_DIR: env.TEMPLATES_DIR,
+    MESSAGE_FORMAT: (env.MESSAGE_FORMAT || 'html').toLowerCase(),
+    // Inline button links, {id} is the transaction hash or market ID; empty leaves the button out
+    EXPLORER_TX_URL: env.EXPLORER_TX_URL ?? 'https://polygonscan.com/tx/{id}',
+    MARKET_URL: env.MARKET_URL || '',
+    ROUTES_FILE: env.ROUTES_FILE || path.join(__dirname, 'config', 'routes.json'),
+    WATCHLIST_FILE: env.WATCHLIST_FILE || path.join(__dirname, 'config', 'watchlist.json'),
+    QUIET_HOURS_FILE: env.QUIET_HOURS_FILE || path.join(__dirname, 'config', 'quiet_hours.json'),
+    // Dedup, milestones, mutes, watchlist additions and subscriber links;
+    // STATE_BACKEND=memory loses all of it on every restart
+    STATE_BACKEND: env.STATE_BACKEND || 'file',
+    STATE_FILE: env.STATE_FILE || path.join(__dirname, 'data', 'state.json'),
+    // How long after a change the state file is rewritten, in the background
+    STATE_FLUSH_MS: Number(env.STATE_FLUSH_MS || 5000),
+    REPORT_TIMEZONE: env.REPORT_TIMEZONE || 'UTC',
+    REPORT_DAILY_TIME: env.REPORT_DAILY_TIME || '09:00',
+    REPORT_WEEKLY_DAY: (env.REPORT_WEEKLY_DAY || 'mon').toLowerCase(),
+    REPORT_WEEKLY_TIME: env.REPORT_WEEKLY_TIME || '09:00',
+    REPORT_CHAT_ID: env.REPORT_CHAT_ID,
+    REPORT_THREAD_ID: env.REPORT_THREAD_ID,
+    // Watched-wallet leaderboard, weekly on LEADERBOARD_DAY or daily when it is empty
+    LEADERBOARD_DAY: (env.LEADERBOARD_DAY ?? 'mon').toLowerCase(),
+    LEADERBOARD_TIME: env.LEADERBOARD_TIME || '09:00',
+    LEADERBOARD_SIZE: Number(env.LEADERBOARD_SIZE || 10),
+    ADMIN_CHAT_IDS: (env.ADMIN_CHAT_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+    // End users can link their chat with /start and get DMs about their own account
+    SUBSCRIBERS_ENABLED: env.SUBSCRIBERS_ENABLED === 'true',
+    // /healthz, /readyz and /metrics; HEALTH_PORT=0 turns the server off
+    HEALTH_PORT: Number(env.HEALTH_PORT ?? 8080),
+    HEALTH_REALTIME_GRACE_MS: Number(env.HEALTH_REALTIME_GRACE_MS || 5 * 60 * 1000),
+    HEALTH_SQS_STALE_MS: Number(env.HEALTH_SQS_STALE_MS || 2 * 60 * 1000),
+    // Auto_Trade failure incidents; TRADE_INCIDENT_RATE=0 turns them off
+    TRADE_INCIDENT_WINDOW_MS: Number(env.TRADE_INCIDENT_WINDOW_MS || 15 * 60 * 1000),
+    TRADE_INCIDENT_MIN_EVENTS: Number(env.TRADE_INCIDENT_MIN_EVENTS || 10),
+    TRADE_INCIDENT_RATE: Number(env.TRADE_INCIDENT_RATE ?? 0.5),
+    TRADE_INCIDENT_RESOLVE_RATE: Number(env.TRADE_INCIDENT_RESOLVE_RATE ?? 0.2),
+    // Alerts when a wallet with enough followers executes worse than its last week
+    WALLET_MIN_FOLLOWERS: Number(env.WALLET_MIN_FOLLOWERS || 3),
+    WALLET_MIN_TRADES: Number(env.WALLET_MIN_TRADES || 10),
+    WALLET_SUCCESS_DROP: Number(env.WALLET_SUCCESS_DROP ?? 0.2),
+    WALLET_SLIPPAGE_INCREASE: Number(env.WALLET_SLIPPAGE_INCREASE ?? 0.02),
+    // How long SIGTERM/SIGINT may take to drain before the process exits anyway
+    SHUTDOWN_TIMEOUT_MS: Number(env.SHUTDOWN_TIMEOUT_MS || 25000),
+    LOG_LEVEL: (env.LOG_LEVEL || 'info').toLowerCase(),
+    LOG_FORMAT: (env.LOG_FORMAT || 'json').toLowerCase(),
+    // Replaces the default list of sensitive field names
+    LOG_REDACT: env.LOG_REDACT ? env.LOG_REDACT.split(',').map(field => field.trim()).filter(Boolean) : undefined
+  };
 }
 
-// Configure AWS
-AWS.config.update({
-  region: AWS_REGION,
-  accessKeyId: AWS_ACCESS_KEY_ID,
-  secretAccessKey: AWS_SECRET_ACCESS_KEY
-});
-
-const sqs = new AWS.SQS({ apiVersion: '2012-11-05' });
-const supabase = createClient(SUPABASE_URL, SUPABASE_KEY, {
-  realtime: { params: { eventsPerSecond: 10 } }
-});
-const bot = new TelegramBot(TELEGRAM_TOKEN, { polling: false });
-
-// Deduplication system
-const processedEvents = new Map();
+const REQUIRED_ENV = [
+  'SUPABASE_URL', 'SUPABASE_KEY', 'TELEGRAM_TOKEN', 'CHAT_ID',
+  'AWS_REGION', 'AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'SQS_QUEUE_URLS' // or SQS_QUEUE_URL
+];
+
+// Alert categories raised by the SQS handlers, whale checks and incident monitor rather than the rules
+const SQS_CATEGORIES = ['order_status', 'order_settlement', 'sqs_invalid', 'sqs_dlq'];
+const WHALE_CATEGORY = 'whale';
+const INCIDENT_CATEGORY = 'trade_incident';
+const WALLET_CATEGORY = 'wallet_performance';
+const FOLLOWERS_PAGE_SIZE = 1000;
+// Tables queried for missed rows after a realtime reconnect
+const BACKFILL_TABLES = ['Users', 'Auto_Trade', 'Copy_Wallets'];
+// Fields the before/after rules compare, remembered per row so a backfilled UPDATE has an old row
+const BACKFILL_OLD_FIELDS = {
+  Users: ['amount_deposited', 'total_pnl', 'total_volume', 'txns_executed', 'fees_total', 'is_copytrading_enabled'],
+  Auto_Trade: ['status'],
+  Copy_Wallets: ['is_enabled', 'percent_ratio']
+};
 const EVENT_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-const milestoneCache = new Map(); // Cache for milestone tracking
-
-// Clean up old events periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, timestamp] of processedEvents.entries()) {
-    if (now - timestamp > EVENT_CACHE_TTL) {
-      processedEvents.delete(key);
-    }
-  }
-  
-  // Clean milestone cache (keep for 1 hour)
-  for (const [key, timestamp] of milestoneCache.entries()) {
-    if (now - timestamp > 60 * 60 * 1000) {
-      milestoneCache.delete(key);
-    }
-  }
-}, 60000); // Clean every minute
+// State namespaces with one entry per row seen, capped so the state file stays small
+const STATE_LIMITS = { last_rows: 100000, wallet_followers: 100000 };
+
+function createClients(config) {
+  AWS.config.update({
+    region: config.AWS_REGION,
+    accessKeyId: config.AWS_ACCESS_KEY_ID,
+    secretAccessKey: config.AWS_SECRET_ACCESS_KEY
+  });
+
+  return {
+    sqs: new AWS.SQS({ apiVersion: '2012-11-05', ...(config.SQS_ENDPOINT ? { endpoint: config.SQS_ENDPOINT } : {}) }),
+    supabase: createClient(config.SUPABASE_URL, config.SUPABASE_KEY, {
+      realtime: { params: { eventsPerSecond: 10 } }
+    }),
+    // Polling is only needed to receive admin and subscriber commands
+    bot: new TelegramBot(config.TELEGRAM_TOKEN, { polling: config.ADMIN_CHAT_IDS.length > 0 || config.SUBSCRIBERS_ENABLED })
+  };
+}
 
 function generateEventId(table, event, payload) {
   // Create unique ID based on table, event type, primary key, and key field values
@@ -81,441 +172,719 @@ function generateEventId(table, event, payload) {
   return `${table}:${event}:${pk}:${timestamp}:${fieldHash}`;
 }
 
-function isDuplicateEvent(eventId) {
-  if (processedEvents.has(eventId)) {
-    return true;
+// Builds the handlers and everything they share from a config and injected
+// clients. Nothing is started until start(); replay mode calls the handlers
+// directly with a capture sink in place of the notifier backends.
+function createApp({ config, supabase, bot, sqs, sink }) {
+  const {
+    CHAT_ID, SQS_QUEUE_URLS, SQS_CONCURRENCY, SQS_VISIBILITY_TIMEOUT, SQS_DLQ_URL, SQS_MAX_ATTEMPTS, QUARANTINE_FILE, DLQ_CHECK_INTERVAL_MS,
+    RULES_FILE, TEMPLATES_FILE, TEMPLATES_DIR, MESSAGE_FORMAT, EXPLORER_TX_URL, MARKET_URL, ROUTES_FILE, WATCHLIST_FILE, QUIET_HOURS_FILE, STATE_BACKEND, STATE_FILE, STATE_FLUSH_MS,
+    REPORT_TIMEZONE, REPORT_DAILY_TIME, REPORT_WEEKLY_DAY, REPORT_WEEKLY_TIME, REPORT_CHAT_ID, REPORT_THREAD_ID,
+    LEADERBOARD_DAY, LEADERBOARD_TIME, LEADERBOARD_SIZE,
+    ADMIN_CHAT_IDS, SUBSCRIBERS_ENABLED, HEALTH_PORT, HEALTH_REALTIME_GRACE_MS, HEALTH_SQS_STALE_MS,
+    TRADE_INCIDENT_WINDOW_MS, TRADE_INCIDENT_MIN_EVENTS, TRADE_INCIDENT_RATE, TRADE_INCIDENT_RESOLVE_RATE,
+    WALLET_MIN_FOLLOWERS, WALLET_MIN_TRADES, WALLET_SUCCESS_DROP, WALLET_SLIPPAGE_INCREASE
+  } = config;
+
+  // Dedup, milestone, mute and subscriber state, kept in STATE_FILE unless STATE_BACKEND=memory
+  const state = createStore({ backend: STATE_BACKEND, file: STATE_FILE, flushDelayMs: STATE_FLUSH_MS, limits: STATE_LIMITS });
+  const mutes = createMuteList({ store: state });
+  const counters = createEventCounters({ store: state });
+
+  // Followers, mirrored trades, success rate and slippage per watched wallet
+  const wallets = createWalletTracker({
+    store: state,
+    minFollowers: WALLET_MIN_FOLLOWERS,
+    minTrades: WALLET_MIN_TRADES,
+    successDrop: WALLET_SUCCESS_DROP,
+    slippageIncrease: WALLET_SLIPPAGE_INCREASE
+  });
+  const reporter = createReporter({ supabase, counters, wallets });
+
+  // VIP users and wallets plus whale thresholds (config/watchlist.json, /watch adds more)
+  const watchlist = createWatchlist({
+    config: fs.existsSync(WATCHLIST_FILE) ? loadWatchlist(WATCHLIST_FILE) : validateWatchlist({}),
+    store: state
+  });
+
+  // Sliding-window failure rates over Auto_Trade outcomes
+  const incidents = createTradeIncidentMonitor({
+    windowMs: TRADE_INCIDENT_WINDOW_MS,
+    minEvents: TRADE_INCIDENT_MIN_EVENTS,
+    openRate: TRADE_INCIDENT_RATE,
+    resolveRate: TRADE_INCIDENT_RESOLVE_RATE
+  });
+
+  // Quiet-hour schedules per category and destination (config/quiet_hours.json)
+  const quietHours = createQuietHours({
+    config: fs.existsSync(QUIET_HOURS_FILE) ? loadQuietHours(QUIET_HOURS_FILE) : validateQuietHours({}),
+    store: state
+  });
+
+  // End users linked to their Users row, for DMs about their own account
+  const subscribers = createSubscribers({ store: state });
+
+  // Logs and returns true when a category, user or wallet mute silences an alert
+  function isMuted(category, subject = {}) {
+    const mute = mutes.match({ category, ...subject });
+    if (mute) log.info('Muted, not sending alert', { category, mute });
+    return Boolean(mute);
   }
-  processedEvents.set(eventId, Date.now());
-  return false;
-}
 
-function sendTelegramMessage(text) {
-  return bot.sendMessage(CHAT_ID, text, { parse_mode: 'HTML', disable_web_page_preview: true })
-    .catch(err => {
-      console.error('Failed to send Telegram message:', err?.message || err);
-    });
-}
-
-function escapeHtml(str) {
-  if (str === null || str === undefined) return '';
-  return String(str)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
-}
+  function isDuplicateEvent(eventId) {
+    if (state.has('events', eventId)) {
+      return true;
+    }
+    state.set('events', eventId, Date.now(), { ttlMs: EVENT_CACHE_TTL });
+    return false;
+  }
 
-function fmt(n) {
-  if (n === null || n === undefined) return '0';
-  if (typeof n === 'number') return n.toString();
-  return String(n);
-}
+  // Prometheus metrics, served on /metrics
+  const metrics = createMetrics();
+  const eventsReceived = metrics.counter('events_received_total', 'Realtime events received', ['table', 'event']);
+  const eventsDuplicate = metrics.counter('events_duplicate_total', 'Realtime events skipped as duplicates', ['table', 'event']);
+  const alertsTotal = metrics.counter('alerts_total', 'Alert deliveries by category, destination type and result', ['category', 'destination', 'result']);
+  const sqsMessages = metrics.counter('sqs_messages_total', 'SQS messages by queue and outcome', ['queue', 'outcome']);
+  let lastTelegramSendAt = null;
+
+  // All Telegram alerts go through the outbox so bursts are rate limited, retried and
+  // coalesced; trade and order updates edit the message sent for them earlier, or reply to it when critical
+  const telegramThreads = createMessageThreads({ store: state });
+  const outbox = createOutbox({
+    send: async message => {
+      await sendTelegram(bot, message, telegramThreads);
+      lastTelegramSendAt = new Date().toISOString();
+    },
+    // Status changes of a trade or order already posted edit (or reply to) that message instead of joining a digest
+    editsInPlace: message => Boolean(message.thread && telegramThreads.get(message.chatId, message.thread.key))
+  });
+  metrics.gauge('outbox_queue_size', 'Telegram messages waiting in the outbox', () => outbox.size());
+  metrics.gauge('subscribers_linked', 'End users linked for DMs', () => subscribers.count());
+  metrics.gauge('quiet_hours_held', 'Alerts held until quiet hours end', () => quietHours.heldCount());
+  metrics.gauge('trade_incidents_open', 'Open copy-trade failure incidents', () => incidents.open().length);
+  metrics.gauge('watched_wallets_followed', 'Watched wallets with at least one enabled follower', () => wallets.followedCount());
+
+  // Milestone tracking: the highest milestone announced per user and type is kept
+  // permanently, so a restart or replay never announces the same one twice
+  function checkAndNotifyMilestone(userId, milestoneType, oldValue, newValue, milestones, messageGenerator) {
+    const cacheKey = `${userId}:${milestoneType}`;
+    const lastNotified = state.get('milestones', cacheKey) || 0;
+
+    // When one update crosses several milestones, announce only the highest
+    const crossed = milestones
+      .filter(milestone => oldValue < milestone && newValue >= milestone && milestone > lastNotified)
+      .sort((a, b) => b - a);
+    if (crossed.length === 0) return null;
+
+    state.set('milestones', cacheKey, crossed[0]);
+    return messageGenerator(crossed[0], newValue);
+  }
 
-// Enhanced milestone tracking with deduplication
-function checkAndNotifyMilestone(userId, milestoneType, oldValue, newValue, milestones, messageGenerator) {
-  const cacheKey = `${userId}:${milestoneType}`;
-  const lastNotified = milestoneCache.get(cacheKey) || 0;
-  
-  for (const milestone of milestones) {
-    if (oldValue < milestone && newValue >= milestone && milestone > lastNotified) {
-      milestoneCache.set(cacheKey, milestone);
-      return messageGenerator(milestone, newValue);
+  // Named message templates (config/templates.json, overridable per file from TEMPLATES_DIR)
+  const renderer = createMessageRenderer({
+    templates: loadMessageTemplates({ defaultsFile: TEMPLATES_FILE, overridesDir: TEMPLATES_DIR }),
+    format: MESSAGE_FORMAT
+  });
+
+  // Rules are rejected as a whole when they point at a template that doesn't exist
+  function loadCheckedRules() {
+    const rules = loadRules(RULES_FILE);
+    const missing = rules.filter(rule => !renderer.has(rule.template));
+    if (missing.length) {
+      throw new Error(`Unknown message template(s): ${missing.map(rule => `${rule.template} (rule ${rule.id})`).join(', ')}`);
     }
+    return rules;
   }
-  return null;
-}
 
-console.log('Connecting to Supabase...');
-console.log('Connecting to AWS SQS...');
+  // Alert rules (config/rules.json by default)
+  const ruleEngine = createRuleEngine({
+    rules: loadCheckedRules(),
+    checkMilestone: checkAndNotifyMilestone,
+    isWatched: watchlist.isWatched
+  });
+
+  // Alert routing (config/routes.json by default, everything to CHAT_ID without it)
+  const router = createRouter(fs.existsSync(ROUTES_FILE) ? loadRouting(ROUTES_FILE) : defaultRouting(CHAT_ID));
+
+  // Every alert is emitted through the notifier, which fans it out to the
+  // Telegram, Slack, Discord and webhook destinations it is routed to. A sink
+  // (replay mode) takes the place of all of them.
+  const backends = sink
+    ? Object.fromEntries(DESTINATION_TYPES.map(type => [type, sink]))
+    : {
+      telegram: createTelegramNotifier({
+        outbox,
+        renderer,
+        buttons: createButtonBuilder({
+          explorerTxUrl: EXPLORER_TX_URL,
+          marketUrl: MARKET_URL,
+          interactive: ADMIN_CHAT_IDS.length > 0
+        })
+      }),
+      slack: createSlackNotifier({ renderer }),
+      discord: createDiscordNotifier({ renderer }),
+      webhook: createWebhookNotifier({ renderer })
+    };
+  const notifier = createNotifier({
+    router,
+    backends,
+    hold: quietHours.hold,
+    onResult: (alert, destination, err) => alertsTotal.inc({
+      category: alert.category,
+      destination: destination.type || 'telegram',
+      result: err ? 'failed' : 'sent'
+    })
+  });
+
+  // Entry point for every SQS message: validate against its schema, then
+  // dispatch by message type. Invalid messages are reported and rejected
+  // without retry; the consumer quarantines and dead-letters them.
+  async function processSQSMessage(body, message) {
+    const result = validateMessage(body);
+    if (!result.ok) {
+      const errors = result.errors.map(e => `${e.field} ${e.message}`);
+      await notifier.notify({
+        id: message?.MessageId,
+        source: 'sqs',
+        category: 'sqs_invalid',
+        severity: 'warning',
+        template: 'sqs_invalid',
+        context: {
+          type: result.type,
+          version: result.version,
+          messageId: message?.MessageId,
+          errors: errors.map(e => `• ${e}`).join('\n')
+        }
+      }).catch(err => log.error('Failed to report invalid SQS message', { err }));
+      throw Object.assign(new Error(`Schema validation failed: ${errors.join('; ')}`), {
+        retryable: false,
+        details: result.errors
+      });
+    }
+
+    const handler = SQS_HANDLERS[result.type];
+    await handler(result.value, message);
+  }
 
-// SQS polling function (unchanged)
-async function pollSQSMessages() {
-  const params = {
-    QueueUrl: SQS_QUEUE_URL,
-    MaxNumberOfMessages: 10,
-    WaitTimeSeconds: 20,
-    VisibilityTimeout: 30
+  const ORDER_STATUS_EMOJI = {
+    'matched': '✅', 'filled': '✅', 'partial': '⚠️',
+    'cancelled': '❌', 'failed': '❌', 'pending': '⏳'
   };
 
-  try {
-    const data = await sqs.receiveMessage(params).promise();
-    
-    if (data.Messages && data.Messages.length > 0) {
-      console.log(`Received ${data.Messages.length} SQS messages`);
-      
-      for (const message of data.Messages) {
-        try {
-          const orderData = JSON.parse(message.Body);
-          await processSQSOrder(orderData);
-          
-          await sqs.deleteMessage({
-            QueueUrl: SQS_QUEUE_URL,
-            ReceiptHandle: message.ReceiptHandle
-          }).promise();
-          
-        } catch (parseError) {
-          console.error('Error parsing SQS message:', parseError);
-          console.log('Raw message body:', message.Body);
-          
-          await sqs.deleteMessage({
-            QueueUrl: SQS_QUEUE_URL,
-            ReceiptHandle: message.ReceiptHandle
-          }).promise();
-        }
+  // Process a validated order message; throws when the alert could not be delivered
+  async function processSQSOrder(order, message) {
+    log.info('Processing SQS order', { order });
+
+    // Failed orders are critical so quiet hours never hold them back
+    const severity = order.status === 'failed' ? 'critical' : order.status === 'cancelled' ? 'warning' : 'info';
+    const alert = {
+      id: message?.MessageId,
+      source: 'sqs',
+      category: 'order_status',
+      severity,
+      template: 'order_status',
+      thread: { key: `order:${order.orderId}`, status: order.status },
+      actions: { txHash: order.txHash, marketId: order.marketId, userId: order.userId },
+      context: {
+        order,
+        emoji: ORDER_STATUS_EMOJI[order.status] || '📊',
+        sideEmoji: order.side === 'YES' || order.side === 'BUY' ? '🟢' : '🔴'
       }
+    };
+    if (!isMuted('order_status', { userId: order.userId })) await notifier.notify(alert);
+    // Counted and sent to the user only once delivered, so a redelivered
+    // message isn't counted twice or DMed again
+    counters.recordOrder(order);
+    await sendDirectMessage(alert, order.userId);
+
+    // Sent once the message is handled and never fails it, so a redelivery
+    // can't repeat the critical whale alert and its mentions
+    const whale = watchlist.whaleForOrder(order);
+    if (whale) {
+      await sendWhaleAlert('whale_order', whale, { order, watched: watchlist.hasUser(order.userId) }, {
+        id: message?.MessageId,
+        source: 'sqs',
+        actions: { txHash: order.txHash, marketId: order.marketId, userId: order.userId }
+      }, { userId: order.userId }).catch(err => log.error('Whale alert delivery failed', { orderId: order.orderId, err }));
     }
-  } catch (error) {
-    console.error('Error polling SQS:', error);
   }
-  
-  setTimeout(pollSQSMessages, 1000);
-}
 
-// Process SQS order message (unchanged)
-async function processSQSOrder(orderData) {
-  const {
-    userId, username, orderId, orderType, side, marketId, marketQuestion,
-    amount, shares, executionPrice, txHash, timestamp, status, outcome
-  } = orderData;
+  async function processSQSCancellation(order, message) {
+    log.info('Processing SQS cancellation', { order });
+    const alert = {
+      id: message?.MessageId,
+      source: 'sqs',
+      category: 'order_status',
+      severity: 'info',
+      template: 'order_cancelled',
+      thread: { key: `order:${order.orderId}`, status: 'cancelled' },
+      actions: { marketId: order.marketId, userId: order.userId },
+      context: { order }
+    };
+    if (!isMuted('order_status', { userId: order.userId })) await notifier.notify(alert);
+    await sendDirectMessage(alert, order.userId);
+  }
 
-  console.log('Processing SQS order:', orderData);
+  async function processSQSSettlement(settlement, message) {
+    log.info('Processing SQS settlement', { settlement });
+    if (isMuted('order_settlement', { userId: settlement.userId })) return;
+
+    await notifier.notify({
+      id: message?.MessageId,
+      source: 'sqs',
+      category: 'order_settlement',
+      severity: 'info',
+      template: 'order_settlement',
+      actions: { txHash: settlement.txHash, marketId: settlement.marketId, userId: settlement.userId },
+      context: { settlement }
+    });
+  }
 
-  const statusEmoji = {
-    'matched': '✅', 'filled': '✅', 'partial': '⚠️',
-    'cancelled': '❌', 'failed': '❌', 'pending': '⏳'
+  // Sends a user their own version of an alert (the dm_ template) when they
+  // have linked their chat and want that kind of update. Admin mutes, quiet
+  // hours and incident suppression only apply to the internal chats, and a
+  // failed DM never fails the event.
+  async function sendDirectMessage(alert, userId) {
+    if (!SUBSCRIBERS_ENABLED || !alert.template) return;
+    const target = subscribers.target(userId, alert.template);
+    if (!target || !renderer.has(target.template)) return;
+
+    const destination = { name: 'subscriber', type: 'telegram', chatId: target.chatId };
+    const { txHash, marketId } = alert.actions || {};
+    await notifier.deliver({ ...alert, template: target.template, actions: { txHash, marketId } }, destination)
+      .catch(err => {
+        // 403: the user blocked the bot or deleted their account
+        if (err?.response?.statusCode === 403) {
+          subscribers.unlink(target.chatId);
+          log.info('Subscriber blocked the bot, unlinked', { userId });
+          return;
+        }
+        log.error('Failed to send DM', { userId, template: target.template, err });
+      });
+  }
+
+  // Whale-sized deposits, trades and orders escalate as critical and mention on-call admins
+  async function sendWhaleAlert(template, whale, context, alert, subject) {
+    if (isMuted(WHALE_CATEGORY, subject)) return;
+    log.info('Whale detected', { kind: whale.kind, amount: whale.amount, threshold: whale.threshold });
+    await notifier.notify({
+      ...alert,
+      category: WHALE_CATEGORY,
+      severity: 'critical',
+      template,
+      context: { ...context, ...whale, mentions: watchlist.mentions() }
+    });
+  }
+
+  // One alert when a failure incident opens and one when it resolves
+  async function sendIncidentAlert({ type, incident }) {
+    log[type === 'opened' ? 'warn' : 'info'](`Trade failure incident ${type}`, {
+      incident: incident.key, failures: incident.failures, total: incident.total, suppressed: incident.suppressed
+    });
+    if (isMuted(INCIDENT_CATEGORY)) return;
+    await notifier.notify({
+      id: `incident:${incident.key}:${incident.openedAt}:${type}`,
+      source: 'incidents',
+      category: INCIDENT_CATEGORY,
+      severity: type === 'opened' ? 'critical' : 'info',
+      table: 'Auto_Trade',
+      template: `trade_incident_${type}`,
+      actions: incident.dimension === 'wallet' ? { wallet: incident.value } : undefined,
+      context: incident
+    }).catch(err => log.error('Incident alert delivery failed', { incident: incident.key, err }));
+  }
+
+  // A popular wallet whose success rate or slippage got worse than its baseline
+  async function sendWalletAlert(change) {
+    log.warn('Watched wallet performance degraded', {
+      wallet: change.wallet, kind: change.kind, followers: change.followers,
+      successPercent: change.recent.successPercent, slippagePercent: change.recent.slippagePercent
+    });
+    if (isMuted(WALLET_CATEGORY, { wallets: [change.wallet] })) return;
+    await notifier.notify({
+      id: `wallet:${change.wallet}:${change.kind}:${Date.now()}`,
+      source: 'wallets',
+      category: WALLET_CATEGORY,
+      severity: 'warning',
+      table: 'Auto_Trade',
+      template: `wallet_${change.kind}_degraded`,
+      actions: { wallet: change.wallet },
+      context: change
+    }).catch(err => log.error('Wallet performance alert delivery failed', { wallet: change.wallet, err }));
+  }
+
+  // Seeds follower counts and copy ratios from every Copy_Wallets row
+  async function loadFollowers() {
+    const rows = [];
+    for (let from = 0; ; from += FOLLOWERS_PAGE_SIZE) {
+      const { data, error } = await supabase.from('Copy_Wallets')
+        .select('id, user_id, wallet_address, percent_ratio, is_enabled')
+        .order('id')
+        .range(from, from + FOLLOWERS_PAGE_SIZE - 1);
+      if (error) throw new Error(`Copy_Wallets: ${error.message}`);
+      rows.push(...(data || []));
+      if (!data || data.length < FOLLOWERS_PAGE_SIZE) break;
+    }
+    wallets.seedFollowers(rows);
+    log.info('Loaded watched wallet followers', { rows: rows.length, wallets: wallets.followedCount() });
+  }
+
+  // One handler per message type in lib/schemas.js
+  const SQS_HANDLERS = {
+    order: processSQSOrder,
+    cancellation: processSQSCancellation,
+    settlement: processSQSSettlement
   };
 
-  const sideEmoji = side === 'YES' ? '🟢' : '🔴';
-  const emoji = statusEmoji[status] || '📊';
+  // Handles every postgres_changes payload: dedup, then evaluate the alert rules.
+  // Everything logged while handling it carries the event ID as correlationId.
+  function handleDbEvent(payload) {
+    const table = payload.table;
+    const event = payload.eventType;
+    const eventId = generateEventId(table, event, payload);
+    return withCorrelation(eventId, () => processDbEvent(table, event, eventId, payload));
+  }
 
-  const msg = `${emoji} <b>Order ${status}</b> ${sideEmoji}\n` +
-    `User: @${escapeHtml(username)} (<code>${escapeHtml(userId)}</code>)\n` +
-    `Market: <b>${escapeHtml(marketQuestion)}</b>\n` +
-    `Side: <b>${escapeHtml(side)}</b> | Outcome: <b>${escapeHtml(outcome)}</b>\n` +
-    `Amount: <b>$${fmt(amount)}</b> | Shares: <b>${fmt(shares)}</b>\n` +
-    `Price: <b>${fmt(executionPrice)}</b>\n` +
-    `Order ID: <code>${escapeHtml(orderId)}</code>\n` +
-    `TX Hash: <code>${escapeHtml(txHash)}</code>\n` +
-    `Time: <code>${escapeHtml(timestamp)}</code>`;
+  async function processDbEvent(table, event, eventId, payload) {
+    eventsReceived.inc({ table, event });
+    log.debug('Received database event', { table, event, backfill: Boolean(payload.backfill), row: payload.new });
+    if (isDuplicateEvent(eventId)) {
+      eventsDuplicate.inc({ table, event });
+      log.info('Skipping duplicate event', { table, event });
+      return;
+    }
 
-  await sendTelegramMessage(msg);
-}
+    counters.record(table, event, payload);
+    wallets.record(table, event, payload);
 
-// Start SQS polling
-pollSQSMessages();
-
-(async () => {
-  // Single consolidated channel for all database events
-  const dbChannel = supabase.channel('db-events')
-    // Users INSERT
-    .on('postgres_changes', {
-      event: 'INSERT',
-      schema: 'public',
-      table: 'Users'
-    }, async (payload) => {
-      const eventId = generateEventId('Users', 'INSERT', payload);
-      if (isDuplicateEvent(eventId)) {
-        console.log('Skipping duplicate Users INSERT event');
-        return;
+    if (table === 'Auto_Trade' && event === 'UPDATE') {
+      for (const change of incidents.record(payload.new || {}, payload.old || {})) {
+        await sendIncidentAlert(change);
       }
+    }
 
-      const user = payload.new;
-      const msg = `👤 <b>New user registered</b>\n` +
-        `ID: <code>${user.id}</code>\n` +
-        `Telegram: @${escapeHtml(user.telegram_username)}\n` +
-        `Wallet: <code>${escapeHtml(user.wallet_address)}</code>\n` +
-        `Deposited: <b>${fmt(user.amount_deposited)}</b>\n` +
-        `Copytrading: <b>${user.is_copytrading_enabled ? 'Enabled' : 'Disabled'}</b>\n` +
-        `Referral code: <code>${escapeHtml(user.referral_code || 'None')}</code>\n` +
-        `Created: <code>${user.created_at}</code>`;
-      console.log('Users INSERT:', user);
-      await sendTelegramMessage(msg);
-    })
-    
-    // Users UPDATE with improved logic
-    .on('postgres_changes', {
-      event: 'UPDATE',
-      schema: 'public',
-      table: 'Users'
-    }, async (payload) => {
-      const eventId = generateEventId('Users', 'UPDATE', payload);
-      if (isDuplicateEvent(eventId)) {
-        console.log('Skipping duplicate Users UPDATE event');
-        return;
+    const row = payload.new && Object.keys(payload.new).length ? payload.new : payload.old || {};
+    const owner = rowOwner(table, row);
+    const actions = {
+      txHash: row.copied_trade_hash || row.tx_hash,
+      marketId: row.market_id,
+      userId: owner.userId,
+      wallet: row.watched_wallet || row.wallet_address
+    };
+    const alerts = ruleEngine.evaluate(table, event, payload);
+    if (alerts.length === 0) log.debug('No rule matched', { table, event });
+    for (const alert of alerts) {
+      await sendDirectMessage({ ...alert, id: eventId, source: 'supabase', actions }, owner.userId);
+      if (isMuted(alert.category, owner)) continue;
+      const incident = alert.suppressDuringIncident && incidents.suppress(payload.new || {});
+      if (incident) {
+        log.info('Alert suppressed by open incident', { ruleId: alert.ruleId, incident });
+        continue;
       }
+      log.info('Alert matched', { table, event, ruleId: alert.ruleId, category: alert.category, row: payload.new });
+      await notifier.notify({ ...alert, id: eventId, source: 'supabase', actions })
+        .catch(err => log.error('Alert delivery failed', { ruleId: alert.ruleId, err }));
+    }
 
-      const userNew = payload.new;
-      const userOld = payload.old || {};
-      const id = userNew.id;
-      const username = userNew.telegram_username;
-      
-      // Only process if we have meaningful old values
-      const hasRelevantOldData = userOld && Object.keys(userOld).length > 1;
-      if (!hasRelevantOldData) {
-        console.log('Skipping Users UPDATE - insufficient old data:', userOld);
-        return;
+    const whale = watchlist.whaleForEvent(table, event, payload);
+    if (whale) {
+      const template = table === 'Users' ? 'whale_deposit' : 'whale_trade';
+      const context = { new: payload.new || {}, old: payload.old || {}, watched: watchlist.isWatched(table, payload.new) };
+      await sendWhaleAlert(template, whale, context, { id: eventId, source: 'supabase', table, event, actions }, owner)
+        .catch(err => log.error('Whale alert delivery failed', { err }));
+    }
+  }
+
+  // Daily and weekly summaries go to REPORT_CHAT_ID, or wherever the "report" category is routed
+  function sendReport(text) {
+    const alert = { source: 'report', category: 'report', severity: 'info', text, format: 'html' };
+    if (REPORT_CHAT_ID) {
+      const destination = { name: 'reports', chatId: REPORT_CHAT_ID, threadId: REPORT_THREAD_ID ? Number(REPORT_THREAD_ID) : undefined };
+      return notifier.deliver(alert, destination);
+    }
+    return notifier.notify(alert);
+  }
+
+  // Delivers what quiet hours held for each destination as one digest once its schedule ends
+  async function releaseHeldAlerts() {
+    for (const { destination: name, alerts } of quietHours.release()) {
+      const destination = router.destination(name);
+      if (!destination) {
+        log.warn('Dropping alerts held for a destination that no longer exists', { destination: name, count: alerts.length });
+        continue;
       }
+      log.info('Quiet hours ended, sending held alerts', { destination: name, count: alerts.length });
+      const text = buildQuietDigest(alerts, renderer);
+      await notifier.deliver({ source: 'quiet_hours', category: 'digest', severity: 'info', text, format: 'html' }, destination)
+        .catch(err => log.error('Failed to send quiet hours digest', { destination: name, err }));
+    }
+  }
 
-      // Deposit detection
-      const newAmt = Number(userNew.amount_deposited || 0);
-      const oldAmt = Number(userOld.amount_deposited || 0);
-      if (newAmt > oldAmt && oldAmt >= 0) {
-        const depositAmount = newAmt - oldAmt;
-        if (depositAmount > 0.01) { // Minimum threshold to avoid dust
-          const msg = `💰 <b>Deposit detected</b>\n` +
-            `User: @${escapeHtml(username)} (<code>${fmt(id)}</code>)\n` +
-            `Amount: <b>+${fmt(depositAmount)}</b>\n` +
-            `New total: <b>${fmt(newAmt)}</b>`;
-          console.log('Users UPDATE (deposit):', { before: oldAmt, after: newAmt, deposit: depositAmount });
-          await sendTelegramMessage(msg);
-        }
+  // Reload config files when they change so alerts can be tuned without a redeploy
+  function watchConfig(file, label, reload) {
+    fs.watchFile(file, { interval: 5000 }, () => {
+      try {
+        reload();
+        log.info('Reloaded config', { config: label, file });
+      } catch (err) {
+        log.error('Failed to reload config, keeping the previous set', { config: label, file, err });
       }
+    });
+  }
 
-      // PnL changes
-      const newPnL = Number(userNew.total_pnl || 0);
-      const oldPnL = Number(userOld.total_pnl || 0);
-      const pnlChange = newPnL - oldPnL;
-      if (Math.abs(pnlChange) >= 100) {
-        const emoji = pnlChange > 0 ? '📈' : '📉';
-        const msg = `${emoji} <b>Significant PnL change</b>\n` +
-          `User: @${escapeHtml(username)} (<code>${fmt(id)}</code>)\n` +
-          `Change: <b>${pnlChange > 0 ? '+' : ''}${fmt(pnlChange)}</b>\n` +
-          `Total PnL: <b>${fmt(newPnL)}</b>`;
-        console.log('Users UPDATE (PnL change):', { before: oldPnL, after: newPnL, change: pnlChange });
-        await sendTelegramMessage(msg);
+  function reloadTemplates() {
+    renderer.setTemplates(loadMessageTemplates({ defaultsFile: TEMPLATES_FILE, overridesDir: TEMPLATES_DIR }));
+  }
+
+  function watchConfigFiles() {
+    watchConfig(RULES_FILE, 'alert rules', () => {
+      const before = ruleEngine.tables();
+      ruleEngine.setRules(loadCheckedRules());
+      const added = ruleEngine.tables().filter(t => !before.includes(t));
+      if (added.length) {
+        log.warn('Rules reference new tables, restart the bot to subscribe to them', { tables: added });
       }
+    });
 
-      // Volume milestones with deduplication
-      const newVolume = Number(userNew.total_volume || 0);
-      const oldVolume = Number(userOld.total_volume || 0);
-      const volumeMilestones = [1000, 5000, 10000, 25000, 50000, 100000];
-      
-      const volumeMsg = checkAndNotifyMilestone(id, 'volume', oldVolume, newVolume, volumeMilestones, (milestone, current) => {
-        return `🎯 <b>Volume milestone reached!</b>\n` +
-          `User: @${escapeHtml(username)} (<code>${fmt(id)}</code>)\n` +
-          `Milestone: <b>$${milestone.toLocaleString()}</b>\n` +
-          `Current volume: <b>$${fmt(current)}</b>`;
+    watchConfig(TEMPLATES_FILE, 'message templates', reloadTemplates);
+    if (TEMPLATES_DIR && fs.existsSync(TEMPLATES_DIR)) {
+      fs.watch(TEMPLATES_DIR, () => {
+        try {
+          reloadTemplates();
+          log.info('Reloaded message template overrides', { dir: TEMPLATES_DIR });
+        } catch (err) {
+          log.error('Failed to reload message template overrides', { dir: TEMPLATES_DIR, err });
+        }
       });
-      
-      if (volumeMsg) {
-        console.log('Users UPDATE (volume milestone):', { user: id, volume: newVolume });
-        await sendTelegramMessage(volumeMsg);
-      }
+    }
+
+    if (fs.existsSync(ROUTES_FILE)) {
+      watchConfig(ROUTES_FILE, 'alert routes', () => router.setConfig(loadRouting(ROUTES_FILE)));
+    }
 
-      // Trading milestones with deduplication
-      const newTxns = Number(userNew.txns_executed || 0);
-      const oldTxns = Number(userOld.txns_executed || 0);
-      const txnMilestones = [10, 50, 100, 500, 1000];
-      
-      const txnMsg = checkAndNotifyMilestone(id, 'txns', oldTxns, newTxns, txnMilestones, (milestone, current) => {
-        return `🏆 <b>Trading milestone reached!</b>\n` +
-          `User: @${escapeHtml(username)} (<code>${fmt(id)}</code>)\n` +
-          `Transactions: <b>${fmt(current)}</b>\n` +
-          `Markets traded: <b>${fmt(userNew.markets_traded)}</b>`;
+    if (fs.existsSync(QUIET_HOURS_FILE)) {
+      watchConfig(QUIET_HOURS_FILE, 'quiet hours', () => quietHours.setConfig(loadQuietHours(QUIET_HOURS_FILE)));
+    }
+
+    if (fs.existsSync(WATCHLIST_FILE)) {
+      watchConfig(WATCHLIST_FILE, 'watchlist', () => watchlist.setConfig(loadWatchlist(WATCHLIST_FILE)));
+    }
+  }
+
+  // Database events still being handled, so shutdown can wait for them
+  const pendingEvents = new Set();
+
+  function trackDbEvent(payload) {
+    const handling = handleDbEvent(payload).finally(() => pendingEvents.delete(handling));
+    pendingEvents.add(handling);
+    return handling;
+  }
+
+  // Everything start() set running, for stop()
+  let running = null;
+
+  // Connects to Supabase, SQS and Telegram and starts every periodic job
+  async function start() {
+    const timers = [
+      // Drop expired dedup entries periodically
+      setInterval(() => state.prune(), 60000),
+      // Incidents also resolve when failures age out of the window with no new trades
+      setInterval(() => incidents.check().forEach(sendIncidentAlert), 60000),
+      setInterval(releaseHeldAlerts, 60000),
+      setInterval(() => wallets.checkDegradation().forEach(sendWalletAlert), 5 * 60000)
+    ];
+    process.on('exit', () => state.flush());
+    if (STATE_BACKEND === 'memory') {
+      log.warn('STATE_BACKEND=memory: mutes, subscriber links and dedup state are lost on restart');
+    }
+
+    watchConfigFiles();
+
+    if (ADMIN_CHAT_IDS.length > 0) {
+      registerAdminCommands({
+        bot,
+        supabase,
+        adminChatIds: ADMIN_CHAT_IDS,
+        mutes,
+        counters,
+        reporter,
+        watchlist,
+        categories: () => [...ruleEngine.categories(), ...SQS_CATEGORIES, WHALE_CATEGORY, INCIDENT_CATEGORY, WALLET_CATEGORY]
       });
-      
-      if (txnMsg) {
-        console.log('Users UPDATE (txn milestone):', { user: id, txns: newTxns });
-        await sendTelegramMessage(txnMsg);
-      }
+      log.info('Admin commands enabled', { chats: ADMIN_CHAT_IDS.length });
+    }
 
-      // Copytrading status changes
-      if ('is_copytrading_enabled' in userOld) {
-        const newCopytrading = Boolean(userNew.is_copytrading_enabled);
-        const oldCopytrading = Boolean(userOld.is_copytrading_enabled);
-        if (newCopytrading !== oldCopytrading) {
-          const status = newCopytrading ? 'enabled' : 'disabled';
-          const emoji = newCopytrading ? '🔄' : '⏸️';
-          const msg = `${emoji} <b>Copytrading ${status}</b>\n` +
-            `User: @${escapeHtml(username)} (<code>${fmt(id)}</code>)`;
-          console.log('Users UPDATE (copytrading):', { user: id, status });
-          await sendTelegramMessage(msg);
-        }
-      }
+    let subscriberStart;
+    if (SUBSCRIBERS_ENABLED) {
+      ({ start: subscriberStart } = registerSubscriberCommands({ bot, supabase, subscribers, adminChatIds: ADMIN_CHAT_IDS }));
+      log.info('Subscriber DMs enabled', { subscribers: subscribers.count() });
+    }
 
-      // Fee accumulation alerts
-      const newFees = Number(userNew.fees_total || 0);
-      const oldFees = Number(userOld.fees_total || 0);
-      const feeIncrease = newFees - oldFees;
-      if (feeIncrease >= 50) {
-        const msg = `💸 <b>High fees incurred</b>\n` +
-          `User: @${escapeHtml(username)} (<code>${fmt(id)}</code>)\n` +
-          `Session fees: <b>$${fmt(feeIncrease)}</b>\n` +
-          `Total fees: <b>$${fmt(newFees)}</b>`;
-        console.log('Users UPDATE (high fees):', { user: id, sessionFees: feeIncrease, totalFees: newFees });
-        await sendTelegramMessage(msg);
-      }
-    })
+    if (ADMIN_CHAT_IDS.length > 0 || SUBSCRIBERS_ENABLED) {
+      registerStartCommand({ bot, adminChatIds: ADMIN_CHAT_IDS, subscriberStart });
+      bot.on('polling_error', err => log.error('Telegram polling error', { err }));
+    }
 
-    // Auto_Trade events
-    .on('postgres_changes', {
-      event: 'UPDATE',
-      schema: 'public',
-      table: 'Auto_Trade'
-    }, async (payload) => {
-      const eventId = generateEventId('Auto_Trade', 'UPDATE', payload);
-      if (isDuplicateEvent(eventId)) {
-        console.log('Skipping duplicate Auto_Trade UPDATE event');
-        return;
-      }
+    log.info('Connecting to Supabase and AWS SQS');
+
+    // Before any consumer starts: stop() can only drain what start() has recorded in `running`
+    await loadFollowers().catch(err => log.warn('Could not load Copy_Wallets followers, using stored ones', { err }));
+
+    // Start SQS polling, one consumer per queue
+    const consumers = SQS_QUEUE_URLS.map(queueUrl => createSQSConsumer({
+      sqs,
+      queueUrl,
+      handleMessage: processSQSMessage,
+      deadLetterQueueUrl: SQS_DLQ_URL,
+      maxAttempts: SQS_MAX_ATTEMPTS,
+      quarantineFile: QUARANTINE_FILE,
+      visibilityTimeout: SQS_VISIBILITY_TIMEOUT,
+      concurrency: SQS_CONCURRENCY,
+      onOutcome: outcome => sqsMessages.inc({ queue: queueName(queueUrl), outcome })
+    }));
+    consumers.forEach(consumer => consumer.start());
+    log.info('Polling SQS', { queues: SQS_QUEUE_URLS.map(queueName), concurrency: SQS_CONCURRENCY });
+    const sqsStatus = () => combineStatus(consumers.map(consumer => consumer.status()));
+
+    if (SQS_DLQ_URL) {
+      timers.push(watchDeadLetterQueue({
+        sqs,
+        queueUrl: SQS_DLQ_URL,
+        intervalMs: DLQ_CHECK_INTERVAL_MS,
+        onGrowth: (previous, depth) => notifier.notify({
+          source: 'sqs',
+          category: 'sqs_dlq',
+          severity: 'critical',
+          template: 'sqs_dlq',
+          context: { previous, depth, queueUrl: SQS_DLQ_URL }
+        }).catch(err => log.error('Failed to send DLQ alert', { err }))
+      }));
+    }
 
-      const status = String(payload.new?.status || '').toLowerCase();
-      const prevStatus = String(payload.old?.status || '').toLowerCase();
-      const trade = payload.new;
-
-      if (status !== prevStatus) {
-        if (status === 'executed') {
-          const msg = `✅ <b>Trade executed successfully</b>\n` +
-            `User: <code>${escapeHtml(fmt(trade.user_id))}</code>\n` +
-            `Market: <b>${escapeHtml(trade.market_title)}</b>\n` +
-            `Side: <b>${escapeHtml(trade.side)}</b>\n` +
-            `Size: <b>${fmt(trade.copied_size || trade.original_size)}</b> @ <b>${fmt(trade.copied_price || trade.original_price)}</b>\n` +
-            `Trade hash: <code>${escapeHtml(trade.copied_trade_hash)}</code>`;
-          console.log('Auto_Trade UPDATE (executed):', trade);
-          await sendTelegramMessage(msg);
-        } else if (status === 'failed') {
-          const msg = `❌ <b>Trade failed</b>\n` +
-            `User: <code>${escapeHtml(fmt(trade.user_id))}</code>\n` +
-            `Market: <b>${escapeHtml(trade.market_title)}</b>\n` +
-            `Side: <b>${escapeHtml(trade.side)}</b>\n` +
-            `Error: <code>${escapeHtml(trade.error_message || 'Unknown error')}</code>\n` +
-            `Original hash: <code>${escapeHtml(trade.original_trade_hash)}</code>`;
-          console.log('Auto_Trade UPDATE (failed):', trade);
-          await sendTelegramMessage(msg);
-        } else if (status === 'skipped') {
-          const msg = `⏭️ <b>Trade skipped</b>\n` +
-            `User: <code>${escapeHtml(fmt(trade.user_id))}</code>\n` +
-            `Market: <b>${escapeHtml(trade.market_title)}</b>\n` +
-            `Reason: <code>${escapeHtml(trade.error_message || 'Trade conditions not met')}</code>`;
-          console.log('Auto_Trade UPDATE (skipped):', trade);
-          await sendTelegramMessage(msg);
-        }
-      }
-    })
+    timers.push(startReportScheduler({
+      reporter,
+      store: state,
+      send: sendReport,
+      timeZone: REPORT_TIMEZONE,
+      dailyTime: REPORT_DAILY_TIME,
+      weeklyDay: REPORT_WEEKLY_DAY,
+      weeklyTime: REPORT_WEEKLY_TIME,
+      leaderboardDay: LEADERBOARD_DAY,
+      leaderboardTime: LEADERBOARD_TIME,
+      leaderboardSize: LEADERBOARD_SIZE
+    }));
+
+    // Single consolidated channel for all database events, one listener per table referenced by the rules
+    const realtime = createRealtimeSubscription({
+      supabase,
+      tables: ruleEngine.tables(),
+      onEvent: trackDbEvent,
+      backfillTables: BACKFILL_TABLES.filter(table => ruleEngine.tables().includes(table)),
+      store: state,
+      oldFields: BACKFILL_OLD_FIELDS
+    });
 
-    .on('postgres_changes', {
-      event: 'INSERT',
-      schema: 'public',
-      table: 'Auto_Trade'
-    }, async (payload) => {
-      const eventId = generateEventId('Auto_Trade', 'INSERT', payload);
-      if (isDuplicateEvent(eventId)) {
-        console.log('Skipping duplicate Auto_Trade INSERT event');
-        return;
-      }
+    function healthReport() {
+      return evaluateHealth({
+        realtime: realtime.status(),
+        sqs: sqsStatus(),
+        lastTelegramSendAt,
+        realtimeGraceMs: HEALTH_REALTIME_GRACE_MS,
+        sqsStaleMs: HEALTH_SQS_STALE_MS
+      });
+    }
 
-      const t = payload.new;
-      const msg = `🆕 <b>New trade detected</b>\n` +
-        `User: <code>${escapeHtml(fmt(t.user_id))}</code>\n` +
-        `Market: <b>${escapeHtml(t.market_title)}</b>\n` +
-        `Outcome: <b>${escapeHtml(t.outcome)}</b>\n` +
-        `Side: <b>${escapeHtml(t.side)}</b>\n` +
-        `Original hash: <code>${escapeHtml(t.original_trade_hash)}</code>\n` +
-        `Size: <b>${escapeHtml(fmt(t.original_size))}</b> @ <b>${escapeHtml(fmt(t.original_price))}</b>\n` +
-        `Position %: <b>${fmt(t.position_percentage)}%</b>\n` +
-        `Status: <b>${escapeHtml(t.status)}</b>\n` +
-        `Watched wallet: <code>${escapeHtml(t.watched_wallet)}</code>`;
-      console.log('Auto_Trade INSERT:', t);
-      await sendTelegramMessage(msg);
-    })
+    metrics.gauge('realtime_subscribed', 'Whether the realtime channel is subscribed', () => (realtime.status().status === 'SUBSCRIBED' ? 1 : 0));
+    metrics.gauge('sqs_last_poll_timestamp_seconds', 'Time of the last successful SQS poll', () => {
+      const { lastPollAt } = sqsStatus();
+      return lastPollAt ? Date.parse(lastPollAt) / 1000 : null;
+    });
+    metrics.gauge('sqs_in_flight', 'SQS messages being handled', () => sqsStatus().inFlight);
+    metrics.gauge('telegram_last_send_timestamp_seconds', 'Time of the last successful Telegram send',
+      () => (lastTelegramSendAt ? Date.parse(lastTelegramSendAt) / 1000 : null));
 
-    // Copy_Wallets events
-    .on('postgres_changes', {
-      event: 'INSERT',
-      schema: 'public',
-      table: 'Copy_Wallets'
-    }, async (payload) => {
-      const eventId = generateEventId('Copy_Wallets', 'INSERT', payload);
-      if (isDuplicateEvent(eventId)) {
-        console.log('Skipping duplicate Copy_Wallets INSERT event');
-        return;
-      }
+    const server = HEALTH_PORT ? startHealthServer({ port: HEALTH_PORT, health: healthReport, metrics }) : null;
 
-      const wallet = payload.new;
-      const msg = `👁️ <b>New wallet added for copying</b>\n` +
-        `User: <code>${escapeHtml(fmt(wallet.user_id))}</code>\n` +
-        `Wallet: <code>${escapeHtml(wallet.wallet_address)}</code>\n` +
-        `Copy ratio: <b>${fmt(wallet.percent_ratio * 100)}%</b>\n` +
-        `Status: <b>${wallet.is_enabled ? 'Enabled' : 'Disabled'}</b>`;
-      console.log('Copy_Wallets INSERT:', wallet);
-      await sendTelegramMessage(msg);
-    })
+    running = { consumers, realtime, server, timers };
+    await realtime.connect();
+    log.info('Bot is running and listening for events');
+  }
 
-    .on('postgres_changes', {
-      event: 'UPDATE',
-      schema: 'public',
-      table: 'Copy_Wallets'
-    }, async (payload) => {
-      const eventId = generateEventId('Copy_Wallets', 'UPDATE', payload);
-      if (isDuplicateEvent(eventId)) {
-        console.log('Skipping duplicate Copy_Wallets UPDATE event');
-        return;
-      }
+  // Graceful shutdown: stop polling SQS and finish the messages already
+  // received, unsubscribe from database events and finish those being
+  // handled, then send whatever the outbox still holds
+  async function stop() {
+    if (!running) return;
+    const { consumers, realtime, server, timers } = running;
+    running = null;
+    timers.forEach(clearInterval);
 
-      const walletNew = payload.new;
-      const walletOld = payload.old || {};
-      
-      if (Object.keys(walletOld).length <= 1) {
-        console.log('Skipping Copy_Wallets UPDATE - insufficient old data');
-        return;
-      }
-      
-      const newEnabled = walletNew.is_enabled;
-      const oldEnabled = walletOld.is_enabled;
-      const newRatio = walletNew.percent_ratio;
-      const oldRatio = walletOld.percent_ratio;
-      
-      if (newEnabled !== oldEnabled) {
-        const status = newEnabled ? 'enabled' : 'disabled';
-        const emoji = newEnabled ? '✅' : '❌';
-        const msg = `${emoji} <b>Copy wallet ${status}</b>\n` +
-          `User: <code>${escapeHtml(fmt(walletNew.user_id))}</code>\n` +
-          `Wallet: <code>${escapeHtml(walletNew.wallet_address)}</code>\n` +
-          `Copy ratio: <b>${fmt(walletNew.percent_ratio * 100)}%</b>`;
-        console.log('Copy_Wallets UPDATE (enabled/disabled):', walletNew);
-        await sendTelegramMessage(msg);
-      } else if (Math.abs(newRatio - oldRatio) > 0.001) {
-        const msg = `⚙️ <b>Copy ratio updated</b>\n` +
-          `User: <code>${escapeHtml(fmt(walletNew.user_id))}</code>\n` +
-          `Wallet: <code>${escapeHtml(walletNew.wallet_address)}</code>\n` +
-          `Old ratio: <b>${fmt(oldRatio * 100)}%</b> → <b>${fmt(newRatio * 100)}%</b>`;
-        console.log('Copy_Wallets UPDATE (ratio change):', { old: oldRatio, new: newRatio });
-        await sendTelegramMessage(msg);
-      }
-    })
+    log.info('Stopping SQS polling and draining in-flight messages');
+    await Promise.all(consumers.map(consumer => consumer.stop()));
 
-    // Monthly_Active_Users INSERT
-    .on('postgres_changes', {
-      event: 'INSERT',
-      schema: 'public',
-      table: 'Monthly_Active_Users'
-    }, async (payload) => {
-      const eventId = generateEventId('Monthly_Active_Users', 'INSERT', payload);
-      if (isDuplicateEvent(eventId)) {
-        console.log('Skipping duplicate Monthly_Active_Users INSERT event');
-        return;
-      }
+    log.info('Unsubscribing from database events', { pending: pendingEvents.size });
+    await realtime.stop().catch(err => log.error('Failed to remove realtime channel', { err }));
+    await Promise.allSettled([...pendingEvents]);
 
-      const record = payload.new;
-      const msg = `📊 <b>Monthly active user recorded</b>\n` +
-        `User: <code>${escapeHtml(fmt(record.user_id))}</code>\n` +
-        `Month: <b>${record.month_number}/${record.year}</b>\n` +
-        `Transactions: <b>${fmt(record.transaction_count)}</b>`;
-      console.log('Monthly_Active_Users INSERT:', record);
-      await sendTelegramMessage(msg);
-    })
+    log.info('Draining pending Telegram sends', { queued: outbox.size() });
+    await outbox.drain();
+
+    if (server) server.close();
+    if (bot.isPolling && bot.isPolling()) await bot.stopPolling().catch(() => {});
+    state.flush();
+  }
 
-    .subscribe((status) => {
-      console.log('Database events subscription status:', status);
-      if (status === 'SUBSCRIBED') {
-        console.log('Successfully subscribed to all database events');
-      } else if (status === 'CHANNEL_ERROR') {
-        console.error('Channel error - attempting to reconnect in 5 seconds...');
-        setTimeout(() => {
-          console.log('Attempting to reconnect...');
-          // Could implement reconnection logic here
-        }, 5000);
+  return { start, stop, handleDbEvent, processSQSMessage, renderer, router, state, mutes, counters, metrics, watchlist, incidents, wallets, quietHours, releaseHeldAlerts, subscribers };
+}
+
+async function main() {
+  const config = loadConfig();
+  // JSON log lines by default
+  configureLogger({ level: config.LOG_LEVEL, format: config.LOG_FORMAT, redact: config.LOG_REDACT });
+
+  const missing = REQUIRED_ENV.filter(name => !config[name] || config[name].length === 0);
+  if (missing.length) {
+    log.error('Missing required environment variables', { missing });
+    process.exit(1);
+  }
+
+  const app = createApp({ config, ...createClients(config) });
+
+  // First SIGTERM/SIGINT drains and exits; a second one, or the timeout, exits at once
+  let stopping = false;
+  for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+      if (stopping) {
+        log.warn('Received a second signal, exiting without draining', { signal });
+        process.exit(1);
       }
+      stopping = true;
+      log.info('Shutting down', { signal, timeoutMs: config.SHUTDOWN_TIMEOUT_MS });
+      setTimeout(() => {
+        log.error('Shutdown timed out, exiting', { timeoutMs: config.SHUTDOWN_TIMEOUT_MS });
+        process.exit(1);
+      }, config.SHUTDOWN_TIMEOUT_MS).unref();
+      app.stop().then(
+        () => {
+          log.info('Shutdown complete');
+          process.exit(0);
+        },
+        err => {
+          log.error('Shutdown failed', { err });
+          process.exit(1);
+        }
+      );
     });
+  }
+
+  await app.start();
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    log.error('Bot failed to start', { err });
+    process.exit(1);
+  });
+}
 
-  console.log('Enhanced bot with deduplication is running and listening for events...');
-})();
\ No newline at end of file
+module.exports = { loadConfig, createApp, generateEventId };
@@ -0,0 +1,49 @@
+// Inline keyboard buttons for Telegram alerts.
+//
+// Handlers attach the identifiers an alert is about as alert.actions:
+//   { txHash, marketId, userId, wallet }
+// and the Telegram notifier turns them into buttons: links to the block
+// explorer and the market page, and two callbacks handled in commands.js,
+// "show user" (a user summary) and "mute this wallet". Callback buttons are
+// only added while admin commands are enabled, since nothing would answer them
+// otherwise. URL templates use {id} for the hash or market ID; an empty
+// template leaves that button out.
+
+// callback_data is limited to 64 bytes: "<action>:<value>"
+const CALLBACK_ACTIONS = { showUser: 'user', muteWallet: 'mutew' };
+
+function fillUrl(template, id) {
+  return template ? template.replace('{id}', encodeURIComponent(id)) : null;
+}
+
+function createButtonBuilder({ explorerTxUrl, marketUrl, interactive = false }) {
+  // reply_markup for an alert's actions, or undefined when there are none
+  return function buildButtons(actions) {
+    if (!actions) return undefined;
+    const links = [];
+    const txUrl = actions.txHash && fillUrl(explorerTxUrl, actions.txHash);
+    if (txUrl) links.push({ text: '🔗 Explorer', url: txUrl });
+    const market = actions.marketId && fillUrl(marketUrl, actions.marketId);
+    if (market) links.push({ text: '📈 Market', url: market });
+
+    const callbacks = [];
+    if (interactive && actions.userId !== undefined && actions.userId !== null && actions.userId !== '') {
+      callbacks.push({ text: '👤 Show user', callback_data: `${CALLBACK_ACTIONS.showUser}:${actions.userId}` });
+    }
+    if (interactive && actions.wallet) {
+      callbacks.push({ text: '🔇 Mute this wallet', callback_data: `${CALLBACK_ACTIONS.muteWallet}:${String(actions.wallet).toLowerCase()}` });
+    }
+
+    const rows = [links, callbacks].filter(row => row.length);
+    return rows.length ? { inline_keyboard: rows } : undefined;
+  };
+}
+
+// { action, value } from callback_data, or null for data this bot did not create
+function parseCallback(data) {
+  const match = /^([a-z]+):(.+)$/.exec(String(data || ''));
+  if (!match || !Object.values(CALLBACK_ACTIONS).includes(match[1])) return null;
+  return { action: match[1], value: match[2] };
+}
+
+module.exports = { createButtonBuilder, parseCallback, CALLBACK_ACTIONS };
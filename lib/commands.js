@@ -0,0 +1,363 @@
+const { escapeHtml, fmt } = require('./template');
+const { parseDuration } = require('./mutes');
+const { WALLET_PATTERN } = require('./watchlist');
+const { parseCallback, CALLBACK_ACTIONS } = require('./buttons');
+const { PREFERENCES } = require('./subscribers');
+const { startOfUtcDay } = require('./stats');
+const { log } = require('./logger');
+
+// Inbound admin commands. Only chats listed in ADMIN_CHAT_IDS get an answer;
+// everything else is ignored so the bot can sit in public groups safely.
+// With subscriber mode on, private chats outside that list get the end-user
+// commands instead (/start, /stop, /notifications). /start is the one command
+// both audiences send, so it has a single handler that picks the answer.
+
+const RECENT_TRADES_LIMIT = 5;
+const FAILED_TRADES_LIMIT = 10;
+const BUTTON_MUTE_MS = 60 * 60 * 1000;
+
+const HELP_TEXT = '<b>Admin commands</b>\n' +
+  '/stats - signups, deposits, volume and trades today\n' +
+  '/report &lt;daily|weekly&gt; - build a summary report now\n' +
+  '/leaderboard [days] - most followed watched wallets and how their copies went\n' +
+  '/user &lt;id|@username&gt; - user row and recent trades\n' +
+  '/trades [failed|skipped|executed] - latest copy trades by status\n' +
+  '/mute &lt;category&gt; &lt;duration&gt; - e.g. /mute mau 2h\n' +
+  '/mute user &lt;id&gt; &lt;duration&gt; or /mute wallet &lt;address&gt; &lt;duration&gt;\n' +
+  '/unmute &lt;category&gt; | user &lt;id&gt; | wallet &lt;address&gt;\n' +
+  '/mutes - active mutes\n' +
+  '/watch &lt;user id|wallet&gt; - richer alerts for a user or wallet\n' +
+  '/unwatch &lt;user id|wallet&gt;\n' +
+  '/watchlist - watched users and wallets';
+
+function formatTrade(t) {
+  return `• <b>${escapeHtml(t.status)}</b> ${escapeHtml(t.side)} ${escapeHtml(t.market_title)}\n` +
+    `  Size: ${escapeHtml(fmt(t.copied_size || t.original_size))} @ ${escapeHtml(fmt(t.copied_price || t.original_price))}` +
+    ` | <code>${escapeHtml(t.created_at)}</code>` +
+    (t.error_message ? `\n  Error: <code>${escapeHtml(t.error_message)}</code>` : '');
+}
+
+// User row and recent trades, for /user and the "show user" button
+async function userSummary(supabase, target) {
+  let query = supabase.from('Users').select('*').limit(1);
+  query = target.startsWith('@')
+    ? query.eq('telegram_username', target.slice(1))
+    : query.eq('id', target);
+  const { data: users, error } = await query;
+  if (error) throw new Error(error.message);
+  const user = users && users[0];
+  if (!user) return `No user found for <code>${escapeHtml(target)}</code>`;
+
+  const { data: trades, error: tradesError } = await supabase.from('Auto_Trade')
+    .select('*')
+    .eq('user_id', user.id)
+    .order('created_at', { ascending: false })
+    .limit(RECENT_TRADES_LIMIT);
+  if (tradesError) throw new Error(tradesError.message);
+
+  return `👤 <b>@${escapeHtml(user.telegram_username)}</b> (<code>${escapeHtml(user.id)}</code>)\n` +
+    `Wallet: <code>${escapeHtml(user.wallet_address)}</code>\n` +
+    `Deposited: <b>${escapeHtml(fmt(user.amount_deposited))}</b> | PnL: <b>${escapeHtml(fmt(user.total_pnl))}</b>\n` +
+    `Volume: <b>$${escapeHtml(fmt(user.total_volume))}</b> | Txns: <b>${escapeHtml(fmt(user.txns_executed))}</b>\n` +
+    `Fees: <b>$${escapeHtml(fmt(user.fees_total))}</b>\n` +
+    `Copytrading: <b>${user.is_copytrading_enabled ? 'Enabled' : 'Disabled'}</b>\n` +
+    `Created: <code>${escapeHtml(user.created_at)}</code>\n\n` +
+    `<b>Recent trades</b>\n` +
+    (trades && trades.length ? trades.map(formatTrade).join('\n') : 'None');
+}
+
+function registerAdminCommands({ bot, supabase, adminChatIds, mutes, counters, reporter, watchlist, categories }) {
+  const allowed = new Set(adminChatIds.map(String));
+
+  function command(pattern, handler) {
+    // Accept both "/stats" and "/stats@BotName" forms
+    const regex = new RegExp(`^\\/${pattern}(?:@\\w+)?(?:\\s+(.*))?$`, 'i');
+    bot.onText(regex, async (msg, match) => {
+      const chatId = msg.chat.id;
+      if (!allowed.has(String(chatId))) {
+        log.info('Ignoring admin command from non-admin chat', { command: pattern, chatId });
+        return;
+      }
+      try {
+        const reply = await handler((match[1] || '').trim().split(/\s+/).filter(Boolean), msg);
+        await bot.sendMessage(chatId, reply, { parse_mode: 'HTML', disable_web_page_preview: true });
+      } catch (err) {
+        log.error('Admin command failed', { command: pattern, chatId, err });
+        await bot.sendMessage(chatId, `⚠️ /${pattern} failed: <code>${escapeHtml(err?.message || err)}</code>`, { parse_mode: 'HTML' })
+          .catch(() => {});
+      }
+    });
+  }
+
+  async function countSince(table, since, filter) {
+    let query = supabase.from(table).select('id', { count: 'exact', head: true }).gte('created_at', since);
+    if (filter) query = filter(query);
+    const { count, error } = await query;
+    if (error) throw new Error(`${table}: ${error.message}`);
+    return count || 0;
+  }
+
+  command('help', async () => HELP_TEXT);
+
+  command('stats', async () => {
+    const since = startOfUtcDay().toISOString();
+    const [signups, trades, executed, failed, skipped] = await Promise.all([
+      countSince('Users', since),
+      countSince('Auto_Trade', since),
+      countSince('Auto_Trade', since, q => q.eq('status', 'executed')),
+      countSince('Auto_Trade', since, q => q.eq('status', 'failed')),
+      countSince('Auto_Trade', since, q => q.eq('status', 'skipped'))
+    ]);
+    const observed = counters.aggregate(new Date(since));
+
+    return `📊 <b>Today (UTC)</b>\n` +
+      `New users: <b>${signups}</b>\n` +
+      `Deposits: <b>${observed.deposits}</b> totalling <b>${fmt(observed.depositTotal)}</b>\n` +
+      `Volume: <b>$${fmt(observed.volumeTotal)}</b>\n` +
+      `Copy trades: <b>${trades}</b> (✅ ${executed} | ❌ ${failed} | ⏭️ ${skipped})\n` +
+      `<i>Deposits and volume are counted from events the bot has seen</i>`;
+  });
+
+  command('report', async (args) => {
+    const kind = (args[0] || 'daily').toLowerCase();
+    if (kind !== 'daily' && kind !== 'weekly') return 'Usage: /report &lt;daily|weekly&gt;';
+    return reporter[kind]();
+  });
+
+  command('leaderboard', async (args) => {
+    const days = Number(args[0] || 7);
+    if (!(days > 0 && days <= 7)) return 'Usage: /leaderboard [days], 1 to 7';
+    return reporter.leaderboard({ days });
+  });
+
+  command('user', async (args) => {
+    const target = args[0];
+    if (!target) return 'Usage: /user &lt;id|@username&gt;';
+    return userSummary(supabase, target);
+  });
+
+  command('trades', async (args) => {
+    const status = (args[0] || 'failed').toLowerCase();
+    const { data: trades, error } = await supabase.from('Auto_Trade')
+      .select('*')
+      .eq('status', status)
+      .order('updated_at', { ascending: false })
+      .limit(FAILED_TRADES_LIMIT);
+    if (error) throw new Error(error.message);
+    if (!trades || !trades.length) return `No ${escapeHtml(status)} trades found`;
+
+    return `<b>Latest ${escapeHtml(status)} copy trades</b>\n` +
+      trades.map(t => `${formatTrade(t)}\n  User: <code>${escapeHtml(t.user_id)}</code>`).join('\n');
+  });
+
+  // "mau" -> category mau, "user 42" / "wallet 0x..." -> that user or wallet
+  function muteTarget(args) {
+    if (args[0] === 'user' || args[0] === 'wallet') {
+      return { kind: args[0], value: args[1], rest: args.slice(2) };
+    }
+    return { kind: 'category', value: args[0], rest: args.slice(1) };
+  }
+
+  function describeMute(kind, value) {
+    return kind === 'category' ? `<b>${escapeHtml(value)}</b>` : `${kind} <code>${escapeHtml(value)}</code>`;
+  }
+
+  command('mute', async (args) => {
+    const { kind, value, rest: [duration] } = muteTarget(args);
+    const known = categories();
+    if (!value || !duration) {
+      return 'Usage: /mute &lt;category&gt; &lt;duration&gt;, /mute user &lt;id&gt; &lt;duration&gt; or /mute wallet &lt;address&gt; &lt;duration&gt;\n' +
+        `Categories: ${escapeHtml(known.join(', '))}`;
+    }
+    if (kind === 'category' && !known.includes(value)) {
+      return `Unknown category <code>${escapeHtml(value)}</code>\nCategories: ${escapeHtml(known.join(', '))}`;
+    }
+    if (kind === 'wallet' && !WALLET_PATTERN.test(value)) {
+      return `<code>${escapeHtml(value)}</code> is not a wallet address`;
+    }
+    const ms = parseDuration(duration);
+    if (!ms) return 'Duration must look like 30m, 2h or 1d';
+
+    const until = mutes.mute(kind, value, ms);
+    log.info('Muted alerts', { kind, value, until: new Date(until) });
+    return `🔇 ${describeMute(kind, value)} muted until <code>${new Date(until).toISOString()}</code>`;
+  });
+
+  command('unmute', async (args) => {
+    const { kind, value } = muteTarget(args);
+    if (!value) return 'Usage: /unmute &lt;category&gt;, /unmute user &lt;id&gt; or /unmute wallet &lt;address&gt;';
+    return mutes.unmute(kind, value)
+      ? `🔔 ${describeMute(kind, value)} unmuted`
+      : `${describeMute(kind, value)} was not muted`;
+  });
+
+  command('mutes', async () => {
+    const active = mutes.list();
+    if (!active.length) return 'No active mutes';
+    return '<b>Active mutes</b>\n' +
+      active.map(m => `• ${describeMute(m.kind, m.value)} until <code>${new Date(m.until).toISOString()}</code>`).join('\n');
+  });
+
+  command('watch', async (args) => {
+    const entry = args[0];
+    if (!entry) return 'Usage: /watch &lt;user id|wallet&gt;';
+    if (!watchlist.add(entry)) return `<code>${escapeHtml(entry)}</code> is already watched`;
+    log.info('Added to watchlist', { entry });
+    return `⭐ Watching <code>${escapeHtml(entry)}</code>`;
+  });
+
+  command('unwatch', async (args) => {
+    const entry = args[0];
+    if (!entry) return 'Usage: /unwatch &lt;user id|wallet&gt;';
+    if (watchlist.remove(entry)) {
+      log.info('Removed from watchlist', { entry });
+      return `No longer watching <code>${escapeHtml(entry)}</code>`;
+    }
+    return `<code>${escapeHtml(entry)}</code> was not added with /watch (entries from the config file stay until it changes)`;
+  });
+
+  command('watchlist', async () => {
+    const { users, wallets } = watchlist.list();
+    if (!users.length && !wallets.length) return 'The watchlist is empty';
+    return '<b>Watchlist</b>\n' +
+      (users.length ? `Users:\n${users.map(id => `• <code>${escapeHtml(id)}</code>`).join('\n')}\n` : '') +
+      (wallets.length ? `Wallets:\n${wallets.map(w => `• <code>${escapeHtml(w)}</code>`).join('\n')}` : '');
+  });
+
+  // Inline buttons on alerts (see buttons.js). Alerts often go to shared
+  // chats, so a press counts when either the chat or the person pressing is
+  // an admin.
+  bot.on('callback_query', async (query) => {
+    const parsed = parseCallback(query.data);
+    if (!parsed) return;
+    const chatId = query.message?.chat?.id;
+    if (!allowed.has(String(chatId)) && !allowed.has(String(query.from?.id))) {
+      log.info('Ignoring button press from non-admin', { action: parsed.action, chatId, from: query.from?.id });
+      await bot.answerCallbackQuery(query.id, { text: 'Only admins can use this button' }).catch(() => {});
+      return;
+    }
+
+    try {
+      if (parsed.action === CALLBACK_ACTIONS.showUser) {
+        await bot.answerCallbackQuery(query.id);
+        const reply = await userSummary(supabase, parsed.value);
+        await bot.sendMessage(chatId, reply, {
+          parse_mode: 'HTML',
+          disable_web_page_preview: true,
+          reply_to_message_id: query.message.message_id
+        });
+      } else if (parsed.action === CALLBACK_ACTIONS.muteWallet) {
+        const until = mutes.mute('wallet', parsed.value, BUTTON_MUTE_MS);
+        log.info('Muted alerts', { kind: 'wallet', value: parsed.value, until: new Date(until), from: query.from?.id });
+        await bot.answerCallbackQuery(query.id, { text: `Wallet muted until ${new Date(until).toISOString()}` });
+      }
+    } catch (err) {
+      log.error('Button action failed', { action: parsed.action, chatId, err });
+      await bot.answerCallbackQuery(query.id, { text: `Failed: ${err?.message || err}`.slice(0, 200) }).catch(() => {});
+    }
+  });
+
+}
+
+const SUBSCRIBER_HELP = '/notifications - choose which updates you get\n' +
+  '/notifications &lt;name&gt; &lt;on|off&gt; - e.g. /notifications deposits off\n' +
+  '/stop - stop all messages';
+
+function describePreferences(preferences) {
+  return Object.entries(PREFERENCES)
+    .map(([name, { label }]) => `${preferences[name] === false ? '🔕' : '🔔'} <code>${name}</code> - ${escapeHtml(label)}`)
+    .join('\n');
+}
+
+// "_" and "%" are wildcards for ilike and common in usernames
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+function registerSubscriberCommands({ bot, supabase, subscribers, adminChatIds }) {
+  const admins = new Set(adminChatIds.map(String));
+
+  function command(pattern, handler) {
+    const regex = new RegExp(`^\\/${pattern}(?:@\\w+)?(?:\\s+(.*))?$`, 'i');
+    bot.onText(regex, async (msg, match) => {
+      const chatId = msg.chat.id;
+      if (msg.chat.type !== 'private' || admins.has(String(chatId))) return;
+      try {
+        const reply = await handler((match[1] || '').trim().split(/\s+/).filter(Boolean), msg);
+        await bot.sendMessage(chatId, reply, { parse_mode: 'HTML', disable_web_page_preview: true });
+      } catch (err) {
+        log.error('Subscriber command failed', { command: pattern, chatId, err });
+        await bot.sendMessage(chatId, '⚠️ Something went wrong, please try again later').catch(() => {});
+      }
+    });
+  }
+
+  // Links the chat to the account whose telegram_username is the sender's username
+  async function start(args, msg) {
+    const linked = subscribers.forChat(msg.chat.id);
+    if (linked) return `You are already receiving updates for @${escapeHtml(linked.username)}\n\n${SUBSCRIBER_HELP}`;
+
+    const username = msg.from?.username;
+    if (!username) return 'Set a Telegram username in your settings, then send /start again.';
+
+    const { data: users, error } = await supabase.from('Users')
+      .select('id, telegram_username')
+      .ilike('telegram_username', escapeLike(username))
+      .limit(2);
+    if (error) throw new Error(error.message);
+    if (!users || users.length !== 1) {
+      log.info('No unique account for subscriber', { chatId: msg.chat.id, matches: users ? users.length : 0 });
+      return `No account is linked to @${escapeHtml(username)}. Connect this Telegram username in the app first.`;
+    }
+
+    subscribers.link(users[0].id, { chatId: msg.chat.id, username });
+    log.info('Subscriber linked', { chatId: msg.chat.id, userId: users[0].id });
+    return `✅ You will now get updates about your trades, orders, deposits and copy wallets here.\n\n${SUBSCRIBER_HELP}`;
+  }
+
+  command('stop', async (args, msg) => {
+    if (!subscribers.unlink(msg.chat.id)) return 'You are not receiving updates. Send /start to begin.';
+    log.info('Subscriber unlinked', { chatId: msg.chat.id });
+    return '👋 You will no longer receive updates. Send /start to turn them back on.';
+  });
+
+  command('notifications', async (args, msg) => {
+    const subscriber = subscribers.forChat(msg.chat.id);
+    if (!subscriber) return 'You are not receiving updates. Send /start to begin.';
+
+    const [name, value] = args.map(arg => arg.toLowerCase());
+    if (name) {
+      if (!PREFERENCES[name] || (value !== 'on' && value !== 'off')) {
+        return `Usage: /notifications &lt;name&gt; &lt;on|off&gt;\n\n${describePreferences(subscriber.preferences)}`;
+      }
+      subscribers.setPreference(subscriber.userId, name, value === 'on');
+    }
+    return `<b>Your notifications</b>\n${describePreferences(subscribers.get(subscriber.userId).preferences)}`;
+  });
+
+  return { start };
+}
+
+// /start for admin chats (the command list) and, when `subscriberStart` is
+// given, private chats of end users (linking them as subscribers)
+function registerStartCommand({ bot, adminChatIds, subscriberStart }) {
+  const admins = new Set(adminChatIds.map(String));
+
+  bot.onText(/^\/start(?:@\w+)?(?:\s+(.*))?$/i, async (msg, match) => {
+    const chatId = msg.chat.id;
+    const isAdmin = admins.has(String(chatId));
+    if (!isAdmin && !(subscriberStart && msg.chat.type === 'private')) {
+      log.info('Ignoring /start from a chat that is neither an admin nor a subscriber chat', { chatId });
+      return;
+    }
+    try {
+      const reply = isAdmin ? HELP_TEXT : await subscriberStart((match[1] || '').trim().split(/\s+/).filter(Boolean), msg);
+      await bot.sendMessage(chatId, reply, { parse_mode: 'HTML', disable_web_page_preview: true });
+    } catch (err) {
+      log.error('Start command failed', { chatId, err });
+      await bot.sendMessage(chatId, '⚠️ Something went wrong, please try again later').catch(() => {});
+    }
+  });
+}
+
+module.exports = { registerAdminCommands, registerSubscriberCommands, registerStartCommand };
@@ -0,0 +1,86 @@
+const http = require('http');
+const { log } = require('./logger');
+
+// Liveness, readiness and metrics endpoints.
+//
+//   GET /healthz  200 while the bot is working, 503 once the realtime channel
+//                 has not been subscribed for realtimeGraceMs (however often
+//                 it reconnected meanwhile) or SQS has neither been polled nor
+//                 finished a message for sqsStaleMs
+//   GET /readyz   200 only while the channel is subscribed and SQS polls are
+//                 current, i.e. events are being received right now
+//   GET /metrics  Prometheus text format
+//
+// Both health endpoints answer with the details as JSON.
+
+function ageMs(iso, now) {
+  return iso ? now - Date.parse(iso) : null;
+}
+
+// Builds the health report from realtime.status(), sqsConsumer.status() and
+// the time of the last Telegram send
+function evaluateHealth({ realtime, sqs, lastTelegramSendAt, realtimeGraceMs, sqsStaleMs, now = Date.now() }) {
+  const subscribed = realtime.status === 'SUBSCRIBED';
+  // Before the first subscribe, measure from when connecting started
+  const realtimeOk = subscribed || ageMs(realtime.lastSubscribedAt || realtime.startedAt, now) < realtimeGraceMs;
+
+  // A consumer with every slot busy stops polling but keeps finishing messages
+  const sqsAge = ageMs(sqs.lastActivityAt || sqs.startedAt, now);
+  const sqsOk = sqsAge !== null && sqsAge < sqsStaleMs;
+
+  return {
+    live: realtimeOk && sqsOk,
+    ready: subscribed && sqsOk && Boolean(sqs.lastPollAt),
+    realtime: {
+      ok: realtimeOk,
+      status: realtime.status,
+      since: realtime.since,
+      lastSubscribedAt: realtime.lastSubscribedAt,
+      attempts: realtime.attempts
+    },
+    sqs: {
+      ok: sqsOk,
+      lastPollAt: sqs.lastPollAt,
+      lastActivityAt: sqs.lastActivityAt,
+      inFlight: sqs.inFlight,
+      busy: sqs.busy,
+      lastErrorAt: sqs.lastErrorAt,
+      lastError: sqs.lastError,
+      consecutiveErrors: sqs.consecutiveErrors
+    },
+    telegram: { lastSendAt: lastTelegramSendAt }
+  };
+}
+
+function startHealthServer({ port, health, metrics }) {
+  function reply(res, statusCode, body, contentType = 'application/json') {
+    res.writeHead(statusCode, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+    res.end(body);
+  }
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') return reply(res, 405, '');
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+      if (pathname === '/healthz' || pathname === '/readyz') {
+        const report = health();
+        const ok = pathname === '/healthz' ? report.live : report.ready;
+        return reply(res, ok ? 200 : 503, JSON.stringify({ status: ok ? 'ok' : 'unavailable', ...report }));
+      }
+      if (pathname === '/metrics') {
+        return reply(res, 200, metrics.render(), 'text/plain; version=0.0.4; charset=utf-8');
+      }
+      reply(res, 404, JSON.stringify({ error: 'not found' }));
+    } catch (err) {
+      log.error('Health endpoint failed', { path: pathname, err });
+      reply(res, 500, JSON.stringify({ error: err?.message || String(err) }));
+    }
+  });
+
+  server.on('error', err => log.error('Health server error', { err }));
+  server.listen(port, () => log.info('Health and metrics endpoints listening', { port }));
+  return server;
+}
+
+module.exports = { startHealthServer, evaluateHealth };
@@ -0,0 +1,200 @@
+const { normalizeError } = require('./stats');
+
+// Copy-trade failure incidents.
+//
+// Every Auto_Trade status change into executed, failed or skipped is kept in a
+// sliding window. Failure rates are tracked for all trades, per watched_wallet,
+// per market and per normalized error_message. When a rate reaches openRate
+// (with at least minEvents outcomes in the window) an incident opens; while it
+// is open the individual failure alerts it covers are suppressed. It resolves
+// once the rate is at or below resolveRate, or the window holds no more
+// failures for it.
+//
+// The first key to cross wins: a failure already covered by an open incident
+// does not open another, so one broken executor raises one incident rather
+// than one per wallet and market. Keys are checked from the most specific
+// cause (the error) to the least (all trades). A narrower incident that opened
+// first is folded into a later one that covers all of its failures, e.g. a
+// wallet incident into the error incident behind it.
+
+const OUTCOME_STATUSES = ['executed', 'failed', 'skipped'];
+const FAILURE_STATUSES = ['failed', 'skipped'];
+const BREAKDOWN_SIZE = 3;
+
+const DIMENSIONS = {
+  // An error's rate is its share of all outcomes, since any trade could have hit it
+  error: { label: 'Error', value: sample => sample.error, ofAll: true },
+  wallet: { label: 'Wallet', value: sample => sample.wallet },
+  market: { label: 'Market', value: sample => sample.market },
+  all: { label: 'All trades', value: () => '*' }
+};
+
+// Strips hashes, IDs and numbers so the same failure groups under one message
+function errorSignature(message) {
+  return normalizeError(String(message || 'Unknown error')
+    .replace(/\b0x[0-9a-f]+/gi, '<hash>')
+    .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<id>')
+    .replace(/\d+(\.\d+)?/g, 'N')
+    .replace(/\s+/g, ' '));
+}
+
+function topCounts(values) {
+  const counts = {};
+  for (const value of values) {
+    if (value) counts[value] = (counts[value] || 0) + 1;
+  }
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, BREAKDOWN_SIZE);
+}
+
+function createTradeIncidentMonitor({ windowMs = 15 * 60 * 1000, minEvents = 10, openRate = 0.5, resolveRate = 0.2 } = {}) {
+  let samples = []; // { at, failed, status, wallet, market, error }
+  const incidents = new Map(); // "dimension:value" -> incident
+
+  function prune(now) {
+    samples = samples.filter(sample => sample.at > now - windowMs);
+  }
+
+  // Outcomes and failures in the window for one key
+  function measure(dimension, value) {
+    const { value: valueOf, ofAll } = DIMENSIONS[dimension];
+    const matching = samples.filter(sample => valueOf(sample) === value);
+    const total = ofAll ? samples.length : matching.length;
+    const failures = matching.filter(sample => sample.failed).length;
+    return { total, failures, rate: total ? failures / total : 0 };
+  }
+
+  function matches(incident, sample) {
+    return DIMENSIONS[incident.dimension].value(sample) === incident.value;
+  }
+
+  // Most common errors, wallets and markets among the failures an incident covers
+  function breakdown(incident) {
+    const failures = samples.filter(sample => sample.failed && matches(incident, sample));
+    return ['error', 'wallet', 'market']
+      .filter(dimension => dimension !== incident.dimension)
+      .map(dimension => {
+        const top = topCounts(failures.map(DIMENSIONS[dimension].value));
+        return top.length ? `${DIMENSIONS[dimension].label}s:\n${top.map(([value, count]) => `• ${value} (${count})`).join('\n')}` : null;
+      })
+      .filter(Boolean)
+      .join('\n');
+  }
+
+  // Open incidents whose failures in the window all fall under the new one
+  function absorb(incident) {
+    for (const other of [...incidents.values()]) {
+      const failures = samples.filter(sample => sample.failed && matches(other, sample));
+      if (!failures.every(sample => matches(incident, sample))) continue;
+      incidents.delete(other.key);
+      incident.suppressed += other.suppressed;
+      incident.replaces.push(`${DIMENSIONS[other.dimension].label} ${other.dimension === 'all' ? '' : other.value}`.trim());
+    }
+  }
+
+  function describe(incident, stats) {
+    return {
+      key: incident.key,
+      dimension: incident.dimension,
+      label: DIMENSIONS[incident.dimension].label,
+      value: incident.dimension === 'all' ? '' : incident.value,
+      ...stats,
+      ratePercent: Math.round(stats.rate * 100),
+      peakPercent: Math.round(incident.peakRate * 100),
+      openPercent: Math.round(openRate * 100),
+      resolvePercent: Math.round(resolveRate * 100),
+      windowMinutes: Math.round(windowMs / 60000),
+      openedAt: incident.openedAt,
+      suppressed: incident.suppressed,
+      replaces: incident.replaces.join(', '),
+      breakdown: breakdown(incident)
+    };
+  }
+
+  // Closes incidents that have recovered; returns { type: 'resolved', incident } changes
+  function check(now = Date.now()) {
+    prune(now);
+    const changes = [];
+    for (const incident of incidents.values()) {
+      const stats = measure(incident.dimension, incident.value);
+      incident.peakRate = Math.max(incident.peakRate, stats.rate);
+      if (stats.failures > 0 && !(stats.total >= minEvents && stats.rate <= resolveRate)) continue;
+      incidents.delete(incident.key);
+      const durationMinutes = Math.round((now - Date.parse(incident.openedAt)) / 60000);
+      changes.push({ type: 'resolved', incident: { ...describe(incident, stats), durationMinutes } });
+    }
+    return changes;
+  }
+
+  // Open incident covering a trade row, if any
+  function coveringIncident(sample) {
+    for (const incident of incidents.values()) {
+      if (matches(incident, sample)) return incident;
+    }
+    return null;
+  }
+
+  function toSample(row, at) {
+    const status = String(row.status || '').toLowerCase();
+    const failed = FAILURE_STATUSES.includes(status);
+    return {
+      at,
+      status,
+      failed,
+      wallet: row.watched_wallet ? String(row.watched_wallet).toLowerCase() : null,
+      market: row.market_title || null,
+      error: failed ? errorSignature(row.error_message) : null
+    };
+  }
+
+  // Records an Auto_Trade status change; returns the incidents it opened or resolved
+  function record(rowNew, rowOld, now = Date.now()) {
+    if (!openRate) return [];
+    const status = String(rowNew.status || '').toLowerCase();
+    if (!OUTCOME_STATUSES.includes(status) || status === String(rowOld.status || '').toLowerCase()) return [];
+
+    const sample = toSample(rowNew, now);
+    samples.push(sample);
+    const changes = check(now);
+    if (!sample.failed || coveringIncident(sample)) return changes;
+
+    for (const dimension of Object.keys(DIMENSIONS)) {
+      const value = DIMENSIONS[dimension].value(sample);
+      if (!value) continue;
+      const stats = measure(dimension, value);
+      if (stats.total < minEvents || stats.rate < openRate) continue;
+
+      const incident = {
+        key: `${dimension}:${value}`,
+        dimension,
+        value,
+        openedAt: new Date(now).toISOString(),
+        peakRate: stats.rate,
+        suppressed: 0,
+        replaces: []
+      };
+      absorb(incident);
+      incidents.set(incident.key, incident);
+      changes.push({ type: 'opened', incident: describe(incident, stats) });
+      break;
+    }
+    return changes;
+  }
+
+  // Whether a failed or skipped trade belongs to an open incident; counts it as suppressed
+  function suppress(row) {
+    const sample = toSample(row, Date.now());
+    if (!sample.failed) return null;
+    const incident = coveringIncident(sample);
+    if (!incident) return null;
+    incident.suppressed += 1;
+    return incident.key;
+  }
+
+  function open() {
+    return [...incidents.values()].map(incident => describe(incident, measure(incident.dimension, incident.value)));
+  }
+
+  return { record, check, suppress, open };
+}
+
+module.exports = { createTradeIncidentMonitor, errorSignature };
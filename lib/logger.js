@@ -0,0 +1,98 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging.
+//
+// One JSON object per line: { time, level, msg, correlationId, ...fields }.
+// The correlation ID is the generateEventId() key of a realtime payload or
+// the MessageId of an SQS message; withCorrelation() scopes it to everything
+// that runs for that event, including rule evaluation and notifier sends, so
+// `jq 'select(.correlationId == "...")'` shows why an alert did or didn't
+// fire. Queued Telegram messages carry the ID explicitly (see outbox.js).
+//
+// Field names listed in `redact` are replaced at any depth, so rows can be
+// logged without leaking wallet addresses or keys. LOG_FORMAT=pretty prints
+// readable lines for local development instead.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_REDACT = ['wallet_address', 'private_key', 'api_key', 'secret', 'token', 'password', 'email', 'phone'];
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 6;
+
+const scope = new AsyncLocalStorage();
+
+let minLevel = LEVELS.info;
+let pretty = false;
+let redactKeys = new Set(DEFAULT_REDACT);
+
+function configureLogger({ level = 'info', format = 'json', redact } = {}) {
+  if (!LEVELS[level]) throw new Error(`Unknown log level "${level}", expected one of ${Object.keys(LEVELS).join(', ')}`);
+  minLevel = LEVELS[level];
+  pretty = format === 'pretty';
+  if (redact) redactKeys = new Set(redact.map(key => key.toLowerCase()));
+}
+
+function serializeError(err) {
+  return {
+    message: err.message,
+    ...(err.code ? { code: err.code } : {}),
+    ...(err.statusCode ? { statusCode: err.statusCode } : {}),
+    ...(minLevel === LEVELS.debug && err.stack ? { stack: err.stack } : {})
+  };
+}
+
+function redact(value, depth = 0) {
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[Object]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const out = {};
+  for (const [key, item] of Object.entries(value)) {
+    out[key] = redactKeys.has(key.toLowerCase()) && item !== null && item !== undefined ? REDACTED : redact(item, depth + 1);
+  }
+  return out;
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < minLevel) return;
+  const correlationId = scope.getStore()?.correlationId;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(correlationId ? { correlationId } : {}),
+    ...redact(fields || {})
+  };
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (!pretty) {
+    stream.write(JSON.stringify(entry) + '\n');
+    return;
+  }
+  const { time, correlationId: id, ...rest } = entry;
+  const extra = Object.entries(rest)
+    .filter(([key]) => key !== 'level' && key !== 'msg')
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+    .join(' ');
+  stream.write(`${time} ${level.toUpperCase().padEnd(5)} ${id ? `[${id}] ` : ''}${msg}${extra ? ` ${extra}` : ''}\n`);
+}
+
+const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+  isDebug: () => minLevel <= LEVELS.debug
+};
+
+// Runs fn with every log line inside it tagged with the correlation ID
+function withCorrelation(correlationId, fn) {
+  return scope.run({ correlationId }, fn);
+}
+
+function currentCorrelationId() {
+  return scope.getStore()?.correlationId;
+}
+
+module.exports = { log, configureLogger, withCorrelation, currentCorrelationId, redact, LEVELS };
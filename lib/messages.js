@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const { render, validateTemplate, FORMATS } = require('./template');
+
+// Named message templates for every alert type.
+//
+// Defaults live in config/templates.json as
+//   { "deposit": { "text": "...", "summary": "...", "digestTitle": "..." } }
+// where "summary" is a one-line template and "digestTitle" a heading, both
+// used when a burst of alerts is merged into one digest. Operators can
+// override any template without touching the defaults by dropping files into
+// TEMPLATES_DIR: <name>.tmpl replaces the text and <name>.summary.tmpl the
+// summary. Every template is checked for unknown filters on load, so a bad
+// override fails the (re)load instead of the alerts that use it.
+
+function loadMessageTemplates({ defaultsFile, overridesDir }) {
+  const templates = JSON.parse(fs.readFileSync(defaultsFile, 'utf8'));
+  for (const [name, entry] of Object.entries(templates)) {
+    if (!entry || typeof entry.text !== 'string') {
+      throw new Error(`${defaultsFile}: template "${name}" needs a "text" string`);
+    }
+    try {
+      validateTemplate(entry.text);
+      if (entry.summary) validateTemplate(entry.summary);
+    } catch (err) {
+      throw new Error(`${defaultsFile}: template "${name}": ${err.message}`);
+    }
+  }
+
+  if (overridesDir && fs.existsSync(overridesDir)) {
+    for (const file of fs.readdirSync(overridesDir)) {
+      const match = /^(.+?)(\.summary)?\.tmpl$/.exec(file);
+      if (!match) continue;
+      const [, name, isSummary] = match;
+      const content = fs.readFileSync(path.join(overridesDir, file), 'utf8').replace(/\n$/, '');
+      try {
+        validateTemplate(content);
+      } catch (err) {
+        throw new Error(`${path.join(overridesDir, file)}: ${err.message}`);
+      }
+      templates[name] = { ...templates[name], [isSummary ? 'summary' : 'text']: content };
+    }
+  }
+
+  return templates;
+}
+
+function createMessageRenderer({ templates, format = 'html' }) {
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown message format "${format}", expected one of ${FORMATS.join(', ')}`);
+  }
+  let active = templates;
+
+  function has(name) {
+    return Boolean(active[name] && typeof active[name].text === 'string');
+  }
+
+  // Renders a named template to { text, summary, digestTitle, format }, in the
+  // renderer's default format unless another one is asked for
+  function renderMessage(name, context, as = format) {
+    const template = active[name];
+    if (!template || typeof template.text !== 'string') throw new Error(`Unknown message template "${name}"`);
+    return {
+      text: render(template.text, context, as),
+      summary: template.summary ? render(template.summary, context, as) : undefined,
+      digestTitle: template.digestTitle,
+      format: as
+    };
+  }
+
+  function setTemplates(next) {
+    active = next;
+  }
+
+  return { render: renderMessage, has, setTemplates, format };
+}
+
+module.exports = { loadMessageTemplates, createMessageRenderer };
@@ -0,0 +1,69 @@
+// Prometheus metrics in the text exposition format.
+//
+// Just counters with labels and gauges read at scrape time, which is all the
+// bot needs; no client library required.
+//
+//   const events = metrics.counter('events_received_total', 'Realtime events', ['table', 'event']);
+//   events.inc({ table: 'Users', event: 'INSERT' });
+//   metrics.gauge('outbox_queue_size', 'Queued Telegram messages', () => outbox.size());
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels || {});
+  if (!entries.length) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function createMetrics({ prefix = 'notif_bot_' } = {}) {
+  const registry = [];
+
+  function counter(name, help, labelNames = []) {
+    const values = new Map(); // formatted labels -> count
+    registry.push({
+      name: prefix + name,
+      help,
+      type: 'counter',
+      samples: () => [...values].map(([labels, value]) => ({ labels, value }))
+    });
+
+    function inc(labels = {}, amount = 1) {
+      const key = formatLabels(Object.fromEntries(labelNames.map(label => [label, labels[label] ?? ''])));
+      values.set(key, (values.get(key) || 0) + amount);
+    }
+
+    return { inc };
+  }
+
+  // collect() returns a number, or [{ labels, value }] for labelled gauges
+  function gauge(name, help, collect) {
+    registry.push({
+      name: prefix + name,
+      help,
+      type: 'gauge',
+      samples: () => {
+        const result = collect();
+        if (!Array.isArray(result)) return [{ labels: '', value: result }];
+        return result.map(({ labels, value }) => ({ labels: formatLabels(labels), value }));
+      }
+    });
+  }
+
+  function render() {
+    const lines = [];
+    for (const metric of registry) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`);
+      for (const { labels, value } of metric.samples()) {
+        if (value === null || value === undefined || Number.isNaN(Number(value))) continue;
+        lines.push(`${metric.name}${labels} ${Number(value)}`);
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  return { counter, gauge, render };
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,50 @@
+// Temporary alert mutes set from the /mute admin command, by category, user
+// ID or wallet. They live in the state store (namespace "mutes") with a TTL,
+// so they expire on their own and are written to STATE_FILE with the rest of
+// the bot's state.
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// "30m", "2h", "1d" -> milliseconds; null when the input is not a duration
+function parseDuration(input) {
+  const match = /^(\d+)\s*([smhd])$/i.exec(String(input || '').trim());
+  if (!match) return null;
+  return Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+}
+
+function createMuteList({ store }) {
+  function key(kind, value) {
+    return `${kind}:${kind === 'wallet' ? String(value).toLowerCase() : String(value)}`;
+  }
+
+  function mute(kind, value, durationMs) {
+    const until = Date.now() + durationMs;
+    store.set('mutes', key(kind, value), until, { ttlMs: durationMs });
+    return until;
+  }
+
+  function unmute(kind, value) {
+    return store.delete('mutes', key(kind, value));
+  }
+
+  // The mute that silences an alert ("category:mau", "user:42", "wallet:0x..."), or null
+  function match({ category, userId, wallets = [] }) {
+    const keys = [key('category', category)];
+    if (userId !== null && userId !== undefined) keys.push(key('user', userId));
+    for (const wallet of wallets) {
+      if (wallet) keys.push(key('wallet', wallet));
+    }
+    return keys.find(candidate => store.has('mutes', candidate)) || null;
+  }
+
+  function list() {
+    return store.entries('mutes').map(([entry, until]) => {
+      const [kind, ...value] = entry.split(':');
+      return { kind, value: value.join(':'), until };
+    });
+  }
+
+  return { mute, unmute, match, list };
+}
+
+module.exports = { createMuteList, parseDuration };
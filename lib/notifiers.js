@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const { convert, PARSE_MODES, TELEGRAM_FORMATS } = require('./template');
+const { log } = require('./logger');
+
+// Notification backends.
+//
+// Every handler emits the same structured alert object:
+//
+//   {
+//     id, source,                 // eventId or SQS MessageId; "supabase", "sqs", "report"
+//     category, severity, ruleId, table, event,
+//     template, context,          // named message template and its values
+//     thread,                     // optional { key, status }: Telegram edits one message per key,
+//                                 // or replies to it for critical updates
+//     actions,                    // optional IDs for inline buttons (see buttons.js)
+//     createdAt
+//   }
+//
+// Text built elsewhere (reports) comes as { text, format } instead of a
+// template. The notifier resolves the routed destinations and hands the alert
+// to the backend for each destination's "type": telegram (through the
+// outbox), slack and discord incoming webhooks, or webhook, a generic signed
+// JSON POST. Each backend renders the template in its own format.
+
+const HTTP_TIMEOUT_MS = 10000;
+const HTTP_MAX_ATTEMPTS = 3;
+const DISCORD_MAX_LENGTH = 2000;
+const SLACK_MAX_LENGTH = 40000;
+
+const SEVERITY_COLORS = { info: '#439fe0', warning: '#f2c744', critical: '#d40e0d' };
+
+// Trade and order statuses in the order they move; an update for an earlier
+// status than the one a message already shows is stale and left out
+const STATUS_STAGES = { new: 0, open: 0, pending: 0, partial: 1, matched: 2, filled: 2, executed: 2, cancelled: 3, failed: 3, skipped: 3 };
+const THREAD_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// { text, summary, digestTitle, format } for an alert in the given format
+function renderAlert(alert, renderer, format) {
+  if (alert.template) return renderer.render(alert.template, alert.context, format);
+  const text = alert.format === format ? alert.text : convert(alert.text, format);
+  return { text, summary: alert.summary, digestTitle: alert.digestTitle, format };
+}
+
+function truncate(text, max) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// POST a JSON body, retrying 429s (after Retry-After), 5xx and network errors
+async function postJson(url, body, { headers = {}, maxAttempts = HTTP_MAX_ATTEMPTS, timeoutMs = HTTP_TIMEOUT_MS } = {}) {
+  const payload = typeof body === 'string' ? body : JSON.stringify(body);
+  for (let attempt = 1; ; attempt++) {
+    let retryMs = Math.min(30000, 1000 * 2 ** (attempt - 1));
+    let error;
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: payload,
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      if (response.ok) return response;
+
+      const detail = (await response.text().catch(() => '')).slice(0, 200);
+      error = Object.assign(new Error(`HTTP ${response.status}${detail ? `: ${detail}` : ''}`), { statusCode: response.status });
+      if (response.status !== 429 && response.status < 500) throw error;
+      const retryAfter = Number(response.headers.get('retry-after'));
+      if (response.status === 429 && retryAfter > 0) retryMs = retryAfter * 1000;
+    } catch (err) {
+      if (err === error) throw err;
+      error = err;
+    }
+    if (attempt >= maxAttempts) throw error;
+    log.warn('Webhook POST failed, retrying', { host: new URL(url).host, attempt, maxAttempts, retryMs, err: error });
+    await sleep(retryMs);
+  }
+}
+
+// Signature over "<timestamp>.<body>" so receivers can reject replays
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function createTelegramNotifier({ outbox, renderer, format = renderer.format, buttons = () => undefined }) {
+  if (!TELEGRAM_FORMATS.includes(format)) {
+    throw new Error(`Telegram cannot display "${format}" messages, expected one of ${TELEGRAM_FORMATS.join(', ')}`);
+  }
+
+  function send(alert, destination) {
+    const message = renderAlert(alert, renderer, format);
+    return outbox.enqueue({
+      chatId: destination.chatId,
+      threadId: destination.threadId,
+      category: alert.category,
+      severity: alert.severity,
+      thread: alert.thread,
+      replyMarkup: buttons(alert.actions),
+      ...message
+    });
+  }
+
+  return { send };
+}
+
+// Telegram message_id per chat and thread key (a trade or an order), kept in
+// the state store so status changes keep editing the same message
+function createMessageThreads({ store, ttlMs = THREAD_TTL_MS }) {
+  function get(chatId, key) {
+    return store.get('telegram_threads', `${chatId}:${key}`);
+  }
+
+  function set(chatId, key, entry) {
+    store.set('telegram_threads', `${chatId}:${key}`, entry, { ttlMs });
+  }
+
+  return { get, set };
+}
+
+function isStale(previous, status) {
+  const before = STATUS_STAGES[String(previous || '').toLowerCase()];
+  const now = STATUS_STAGES[String(status || '').toLowerCase()];
+  return before !== undefined && now !== undefined && now < before;
+}
+
+function telegramError(err) {
+  return String(err?.response?.body?.description || err?.message || '');
+}
+
+// Sends a rendered Telegram message; used as the outbox's send function.
+// A message with a thread edits the one sent earlier for the same thread
+// when there is one, and falls back to a new message when it is gone.
+// Edits do not notify anyone, so a critical update (a failed trade) is sent
+// as a new message replying to the earlier one and the thread moves to it.
+async function sendTelegram(bot, { chatId, threadId, text, format, severity, thread, replyMarkup }, threads) {
+  const options = { disable_web_page_preview: true };
+  if (PARSE_MODES[format]) options.parse_mode = PARSE_MODES[format];
+  if (replyMarkup) options.reply_markup = replyMarkup;
+
+  const previous = thread && threads ? threads.get(chatId, thread.key) : undefined;
+  if (previous) {
+    if (isStale(previous.status, thread.status)) {
+      log.info('Skipping stale status update', { thread: thread.key, status: thread.status, shown: previous.status });
+      return;
+    }
+    if (severity === 'critical') {
+      options.reply_to_message_id = previous.messageId;
+      options.allow_sending_without_reply = true;
+    } else {
+      try {
+        await bot.editMessageText(text, { ...options, chat_id: chatId, message_id: previous.messageId });
+        threads.set(chatId, thread.key, { messageId: previous.messageId, status: thread.status });
+        return;
+      } catch (err) {
+        const description = telegramError(err);
+        if (/message is not modified/i.test(description)) return;
+        if (!/message to edit not found|message can't be edited|MESSAGE_ID_INVALID/i.test(description)) throw err;
+        log.info('Message to edit is gone, sending a new one', { thread: thread.key, description });
+      }
+    }
+  }
+
+  if (threadId) options.message_thread_id = threadId;
+  const sent = await bot.sendMessage(chatId, text, options);
+  if (thread && threads && sent?.message_id) {
+    threads.set(chatId, thread.key, { messageId: sent.message_id, status: thread.status });
+  }
+  return sent;
+}
+
+function createSlackNotifier({ renderer }) {
+  async function send(alert, destination) {
+    const { text } = renderAlert(alert, renderer, 'slack');
+    await postJson(destination.url, {
+      text: truncate(text, SLACK_MAX_LENGTH),
+      unfurl_links: false,
+      attachments: [{ color: SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS.info, text: `${alert.category} · ${alert.severity || 'info'}` }]
+    });
+  }
+
+  return { send };
+}
+
+function createDiscordNotifier({ renderer }) {
+  async function send(alert, destination) {
+    const { text } = renderAlert(alert, renderer, 'discord');
+    await postJson(destination.url, {
+      content: truncate(text, DISCORD_MAX_LENGTH),
+      // Never let alert text ping @everyone or a role
+      allowed_mentions: { parse: [] },
+      ...(destination.username ? { username: destination.username } : {})
+    });
+  }
+
+  return { send };
+}
+
+// Raw JSON for other tooling, signed with HMAC-SHA256:
+//   X-Alert-Timestamp: <unix seconds>
+//   X-Alert-Signature: sha256=<hex hmac of "<timestamp>.<body>">
+function createWebhookNotifier({ renderer }) {
+  async function send(alert, destination) {
+    const body = JSON.stringify({
+      id: alert.id,
+      source: alert.source,
+      category: alert.category,
+      severity: alert.severity || 'info',
+      ruleId: alert.ruleId,
+      table: alert.table,
+      event: alert.event,
+      text: renderAlert(alert, renderer, 'plain').text,
+      data: alert.context,
+      createdAt: alert.createdAt
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    await postJson(destination.url, body, {
+      headers: {
+        'X-Alert-Timestamp': String(timestamp),
+        'X-Alert-Signature': `sha256=${signPayload(destination.secret, timestamp, body)}`
+      }
+    });
+  }
+
+  return { send };
+}
+
+// onResult(alert, destination, error) is called after every delivery attempt,
+// with error undefined when it succeeded
+// hold(alert, destination) returns the quiet-hours schedule that keeps an
+// alert back from a destination, or null to send it now (see quiet.js)
+function createNotifier({ router, backends, onResult = () => {}, hold = () => null }) {
+  // Send to one destination; logs and rethrows on failure
+  async function deliver(alert, destination) {
+    const backend = backends[destination.type || 'telegram'];
+    try {
+      if (!backend) throw new Error(`No notifier backend for destination type "${destination.type}"`);
+      await backend.send({ createdAt: new Date().toISOString(), ...alert }, destination);
+      onResult(alert, destination);
+      log.debug('Alert delivered', { category: alert.category, destination: destination.name, type: destination.type || 'telegram' });
+    } catch (err) {
+      log.error('Failed to deliver alert', { category: alert.category, destination: destination.name, err });
+      onResult(alert, destination, err);
+      throw err;
+    }
+  }
+
+  // Deliver an alert to every destination routed for its category and severity.
+  // Rejects when any destination could not be reached, so callers such as the
+  // SQS consumer can retry instead of acknowledging a lost alert.
+  async function notify(alert) {
+    const { category, severity = 'info' } = alert;
+    const destinations = router.resolve(category, severity);
+    if (destinations.length === 0) {
+      log.info('No destination for alert, dropping it', { category, severity });
+      return;
+    }
+    const stamped = { createdAt: new Date().toISOString(), ...alert };
+    const sending = destinations.filter(destination => {
+      const schedule = hold(stamped, destination);
+      if (schedule) log.info('Alert held for quiet hours', { category, destination: destination.name, schedule });
+      return !schedule;
+    });
+    const results = await Promise.allSettled(sending.map(destination => deliver(stamped, destination)));
+    const failed = results.filter(result => result.status === 'rejected');
+    if (failed.length) {
+      throw new Error(`Alert ${category} failed for ${failed.length}/${sending.length} destination(s): ${failed[0].reason?.message || failed[0].reason}`);
+    }
+  }
+
+  return { notify, deliver };
+}
+
+module.exports = {
+  createNotifier,
+  createTelegramNotifier,
+  createMessageThreads,
+  createSlackNotifier,
+  createDiscordNotifier,
+  createWebhookNotifier,
+  sendTelegram,
+  renderAlert,
+  signPayload,
+  postJson
+};
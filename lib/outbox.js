@@ -0,0 +1,233 @@
+// Rate-limited outbound queue for Telegram messages.
+//
+// Telegram allows roughly one message per second per private chat, twenty per
+// minute per group and thirty per second overall. Messages are queued per chat
+// and released no faster than that; a 429 pauses the chat for retry_after
+// seconds, transient errors are retried with exponential backoff. When several
+// alerts of the same category pile up for one chat they are merged into a
+// single digest message instead of being sent (or dropped) one by one.
+// Each message carries its format (html, markdownv2 or plain, see template.js);
+// digests are only built from messages in the same format. A message that
+// will edit an earlier one in place (editsInPlace, see sendTelegram's
+// threads) is never merged, so trades and orders keep updating their own
+// message. Messages also
+// carry the correlationId of the event that raised them, so the send and its
+// retries log under it even though they run later from a timer.
+
+const { render } = require('./template');
+const { log, withCorrelation, currentCorrelationId } = require('./logger');
+
+const TELEGRAM_MAX_LENGTH = 4096;
+
+function isGroupChat(chatId) {
+  return String(chatId).startsWith('-');
+}
+
+function isTransientError(err) {
+  if (!err) return false;
+  if (err.code === 'EFATAL') return true; // network level failure
+  const statusCode = err.response?.statusCode;
+  return statusCode >= 500;
+}
+
+function retryAfterMs(err) {
+  const retryAfter = err?.response?.body?.parameters?.retry_after;
+  return retryAfter ? Number(retryAfter) * 1000 : null;
+}
+
+function stripTags(html) {
+  return String(html).replace(/<[^>]+>/g, '');
+}
+
+// One line per alert in a digest; falls back to the first lines of the message
+function summaryLine(item) {
+  if (item.summary) return item.summary;
+  const text = item.format === 'html' ? stripTags(item.text) : item.text;
+  return text.split('\n').slice(0, 2).join(' | ');
+}
+
+function createOutbox({
+  send,
+  privateIntervalMs = 1000,
+  groupIntervalMs = 3000,
+  globalPerSecond = 25,
+  maxAttempts = 5,
+  coalesceThreshold = 3,
+  digestLimit = 20,
+  editsInPlace = () => false
+}) {
+  const chats = new Map(); // chatId -> { items, nextAt }
+  let globalNextAt = 0;
+  let timer = null;
+  let sending = false;
+  let drainWaiters = [];
+
+  function chatInterval(chatId) {
+    return isGroupChat(chatId) ? groupIntervalMs : privateIntervalMs;
+  }
+
+  function buildDigest(items) {
+    const head = items[0];
+    const title = head.digestTitle || `${head.category} alerts`;
+    let text = render('📦 <b>{{count}} {{title}}</b>', { count: items.length, title }, head.format);
+    let shown = 0;
+    for (const item of items.slice(0, digestLimit)) {
+      const line = `\n• ${summaryLine(item)}`;
+      // Leave room for the "and N more" footer
+      if (text.length + line.length > TELEGRAM_MAX_LENGTH - 40) break;
+      text += line;
+      shown += 1;
+    }
+    if (shown < items.length) text += render('\n…and {{count}} more', { count: items.length - shown }, head.format);
+
+    // Digests never edit a threaded message and carry no buttons
+    return {
+      chatId: head.chatId,
+      threadId: head.threadId,
+      category: head.category,
+      format: head.format,
+      text,
+      digest: true,
+      correlationId: items.map(item => item.correlationId).filter(Boolean).join(',') || undefined,
+      attempts: 0,
+      enqueuedAt: head.enqueuedAt,
+      waiters: items.flatMap(item => item.waiters)
+    };
+  }
+
+  // Next message for a chat, merging queued alerts of the same category
+  function takeNext(chat) {
+    const head = chat.items.shift();
+    if (head.digest || !head.category || editsInPlace(head)) return head;
+
+    const same = chat.items.filter(item =>
+      !item.digest && item.category === head.category && item.threadId === head.threadId &&
+      item.format === head.format && !editsInPlace(item));
+    if (same.length + 1 < coalesceThreshold) return head;
+
+    chat.items = chat.items.filter(item => !same.includes(item));
+    return buildDigest([head, ...same]);
+  }
+
+  function schedule() {
+    if (sending) return;
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+
+    // Forget idle chats once their interval has passed, so every chat ever
+    // messaged (one per subscriber with DMs) isn't kept forever
+    const now = Date.now();
+    let earliest = Infinity;
+    for (const [chatId, chat] of chats) {
+      if (chat.items.length) earliest = Math.min(earliest, chat.nextAt);
+      else if (chat.nextAt <= now) chats.delete(chatId);
+    }
+    if (earliest === Infinity) return;
+
+    timer = setTimeout(tick, Math.max(0, earliest - now, globalNextAt - now));
+  }
+
+  function handleFailure(chat, chatId, item, err) {
+    const pauseMs = retryAfterMs(err);
+    if (pauseMs !== null) {
+      log.warn('Telegram rate limited chat, pausing it', { chatId, retryMs: pauseMs });
+      chat.nextAt = Date.now() + pauseMs;
+      chat.items.unshift(item);
+      return;
+    }
+
+    item.attempts += 1;
+    if (isTransientError(err) && item.attempts < maxAttempts) {
+      const delay = Math.min(60000, 1000 * 2 ** item.attempts);
+      log.warn('Telegram send failed, retrying', { chatId, attempt: item.attempts, maxAttempts, retryMs: delay, err });
+      chat.nextAt = Date.now() + delay;
+      chat.items.unshift(item);
+      return;
+    }
+
+    chat.nextAt = Date.now() + chatInterval(chatId);
+    item.waiters.forEach(waiter => waiter.reject(err));
+  }
+
+  async function tick() {
+    timer = null;
+    const now = Date.now();
+
+    // Serve the ready chat whose oldest message has waited longest
+    let chosenId = null;
+    let chosen = null;
+    for (const [chatId, chat] of chats) {
+      if (!chat.items.length || chat.nextAt > now) continue;
+      if (!chosen || chat.items[0].enqueuedAt < chosen.items[0].enqueuedAt) {
+        chosen = chat;
+        chosenId = chatId;
+      }
+    }
+    if (!chosen) {
+      schedule();
+      return;
+    }
+
+    const item = takeNext(chosen);
+    sending = true;
+    try {
+      await withCorrelation(item.correlationId, () => send(item));
+      chosen.nextAt = Date.now() + chatInterval(chosenId);
+      item.waiters.forEach(waiter => waiter.resolve());
+    } catch (err) {
+      withCorrelation(item.correlationId, () => handleFailure(chosen, chosenId, item, err));
+    } finally {
+      sending = false;
+      globalNextAt = Date.now() + Math.ceil(1000 / globalPerSecond);
+      schedule();
+      if (size() === 0) notifyDrained();
+    }
+  }
+
+  function notifyDrained() {
+    const waiters = drainWaiters;
+    drainWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
+  // Resolves once every queued message has been sent or given up on
+  function drain() {
+    if (size() === 0 && !sending) return Promise.resolve();
+    return new Promise(resolve => drainWaiters.push(resolve));
+  }
+
+  // Queue a message; resolves once delivered, rejects when retries are exhausted
+  function enqueue(message) {
+    return new Promise((resolve, reject) => {
+      const chatId = String(message.chatId);
+      if (!chats.has(chatId)) chats.set(chatId, { items: [], nextAt: 0 });
+      chats.get(chatId).items.push({
+        correlationId: currentCorrelationId(),
+        ...message,
+        format: message.format || 'html',
+        chatId,
+        attempts: 0,
+        enqueuedAt: Date.now(),
+        waiters: [{ resolve, reject }]
+      });
+      schedule();
+    });
+  }
+
+  function size() {
+    let total = 0;
+    for (const chat of chats.values()) total += chat.items.length;
+    return total;
+  }
+
+  // Chats with queued messages or an interval still running
+  function chatCount() {
+    return chats.size;
+  }
+
+  return { enqueue, size, chatCount, drain };
+}
+
+module.exports = { createOutbox };
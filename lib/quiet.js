@@ -0,0 +1,164 @@
+const fs = require('fs');
+const { zonedParts } = require('./reports');
+const { escapeHtml } = require('./template');
+
+// Quiet hours per category and destination.
+//
+// config/quiet_hours.json:
+//   {
+//     "timezone": "Europe/London",
+//     "schedules": [
+//       { "name": "night", "from": "22:00", "to": "07:00", "categories": ["mau", "signup"] },
+//       { "name": "weekend", "from": "00:00", "to": "24:00", "days": ["sat", "sun"],
+//         "categories": ["*"], "destinations": ["support"], "timezone": "UTC" }
+//     ]
+//   }
+//
+// While a schedule is active, alerts in its categories bound for its
+// destinations (every destination when omitted) are held in the state store
+// instead of being sent. Critical alerts are never held. Once the schedule
+// ends, everything it held for a destination is delivered there as one
+// digest. "days" are the days a window starts on, so a 22:00-07:00 window on
+// "fri" also covers Saturday morning.
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DIGEST_ITEMS_PER_CATEGORY = 10;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function validateQuietHours(raw, source = 'quiet hours config') {
+  const timezone = raw.timezone || 'UTC';
+  if (!isValidTimeZone(timezone)) throw new Error(`${source}: unknown timezone "${timezone}"`);
+
+  const names = new Set();
+  const schedules = (raw.schedules || []).map((schedule, index) => {
+    const where = `schedule #${index + 1}${schedule.name ? ` (${schedule.name})` : ''}`;
+    if (!schedule.name) throw new Error(`${source}: ${where} needs a "name"`);
+    if (names.has(schedule.name)) throw new Error(`${source}: duplicate schedule name "${schedule.name}"`);
+    names.add(schedule.name);
+    for (const key of ['from', 'to']) {
+      if (!TIME_PATTERN.test(schedule[key] || '')) throw new Error(`${source}: ${where} needs "${key}" as HH:MM`);
+    }
+    if (!Array.isArray(schedule.categories) || !schedule.categories.length) {
+      throw new Error(`${source}: ${where} needs a "categories" array ("*" for all)`);
+    }
+    const days = (schedule.days || WEEKDAYS).map(day => String(day).toLowerCase());
+    const unknownDay = days.find(day => !WEEKDAYS.includes(day));
+    if (unknownDay) throw new Error(`${source}: ${where} has unknown day "${unknownDay}"`);
+    const scheduleZone = schedule.timezone || timezone;
+    if (!isValidTimeZone(scheduleZone)) throw new Error(`${source}: ${where} has unknown timezone "${scheduleZone}"`);
+
+    return {
+      name: schedule.name,
+      from: schedule.from,
+      to: schedule.to,
+      days,
+      categories: schedule.categories,
+      destinations: schedule.destinations || null,
+      timezone: scheduleZone
+    };
+  });
+
+  return { timezone, schedules };
+}
+
+function loadQuietHours(filePath) {
+  return validateQuietHours(JSON.parse(fs.readFileSync(filePath, 'utf8')), filePath);
+}
+
+// Whether `date` falls inside a schedule's window in its timezone
+function isActive(schedule, date) {
+  const { time, weekday } = zonedParts(date, schedule.timezone);
+  if (schedule.from <= schedule.to) {
+    return schedule.days.includes(weekday) && time >= schedule.from && time < schedule.to;
+  }
+  // Overnight: the part after midnight belongs to the previous day's window
+  if (time >= schedule.from) return schedule.days.includes(weekday);
+  const previousDay = WEEKDAYS[(WEEKDAYS.indexOf(weekday) + 6) % 7];
+  return time < schedule.to && schedule.days.includes(previousDay);
+}
+
+function createQuietHours({ config = validateQuietHours({}), store }) {
+  let active = config;
+
+  function appliesTo(schedule, alert, destination) {
+    return (schedule.categories.includes('*') || schedule.categories.includes(alert.category)) &&
+      (!schedule.destinations || schedule.destinations.includes(destination.name));
+  }
+
+  // Holds the alert for this destination when a schedule covers it; returns the schedule name
+  function hold(alert, destination, now = new Date()) {
+    if (alert.severity === 'critical') return null;
+    const schedule = active.schedules.find(s => appliesTo(s, alert, destination) && isActive(s, now));
+    if (!schedule) return null;
+    const held = store.get('quiet', destination.name) || [];
+    store.set('quiet', destination.name, [...held, { schedule: schedule.name, alert }]);
+    return schedule.name;
+  }
+
+  // Takes every held alert whose schedule has ended (or been removed);
+  // returns [{ destination, alerts }]
+  function release(now = new Date()) {
+    const released = [];
+    for (const [destination, held] of store.entries('quiet')) {
+      const stillQuiet = held.filter(item => {
+        const schedule = active.schedules.find(s => s.name === item.schedule);
+        return schedule && isActive(schedule, now);
+      });
+      if (stillQuiet.length === held.length) continue;
+
+      const alerts = held.filter(item => !stillQuiet.includes(item)).map(item => item.alert);
+      if (stillQuiet.length) store.set('quiet', destination, stillQuiet);
+      else store.delete('quiet', destination);
+      released.push({ destination, alerts });
+    }
+    return released;
+  }
+
+  function heldCount() {
+    return store.entries('quiet').reduce((sum, [, held]) => sum + held.length, 0);
+  }
+
+  function setConfig(next) {
+    active = next;
+  }
+
+  return { hold, release, heldCount, setConfig };
+}
+
+// Summary line of a held alert; a template removed since it was held falls back to the category
+function summarize(alert, renderer) {
+  if (!alert.template) return alert.text.split('\n')[0];
+  try {
+    const rendered = renderer.render(alert.template, alert.context, 'html');
+    return rendered.summary || rendered.text.split('\n')[0];
+  } catch (err) {
+    return escapeHtml(alert.category);
+  }
+}
+
+// One HTML message listing held alerts by category, using each template's summary line
+function buildQuietDigest(alerts, renderer) {
+  const byCategory = {};
+  for (const alert of alerts) {
+    (byCategory[alert.category] = byCategory[alert.category] || []).push(alert);
+  }
+
+  const sections = Object.entries(byCategory).map(([category, items]) => {
+    const lines = items.slice(0, DIGEST_ITEMS_PER_CATEGORY).map(alert => `• ${summarize(alert, renderer)}`);
+    if (items.length > DIGEST_ITEMS_PER_CATEGORY) lines.push(`… and ${items.length - DIGEST_ITEMS_PER_CATEGORY} more`);
+    return `<b>${escapeHtml(category)}</b> (${items.length})\n${lines.join('\n')}`;
+  });
+
+  return `🌙 <b>${alerts.length} alert(s) held during quiet hours</b>\n\n${sections.join('\n\n')}`;
+}
+
+module.exports = { loadQuietHours, validateQuietHours, createQuietHours, buildQuietDigest };
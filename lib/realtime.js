@@ -0,0 +1,210 @@
+// Supabase realtime subscription with reconnection and missed-event backfill.
+//
+// The channel is rebuilt with exponential backoff whenever it reports
+// CHANNEL_ERROR, TIMED_OUT or CLOSED. After a reconnect the backfill tables
+// are queried for rows created or updated since the last event we saw, and
+// those rows are replayed through the normal handler as synthetic payloads.
+// A row created since then is replayed as an INSERT. For the before/after
+// rules (deposits, PnL, copy ratios, trade status) the `oldFields` of every
+// row seen are kept in the state store (namespace "last_rows", for
+// `lastRowsTtlMs` after the row was last seen) and a replayed UPDATE uses
+// them as its "old" row. An UPDATE with no remembered row is skipped rather
+// than compared against an empty one, which would fire every rule at once.
+// Dedup in the handler keeps already-seen events from repeating.
+
+const { log } = require('./logger');
+
+const CHANNEL_NAME = 'db-events';
+const BACKFILL_LIMIT = 1000;
+const LAST_ROWS_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+function rowTimestamp(row) {
+  return row?.updated_at || row?.created_at || null;
+}
+
+function createRealtimeSubscription({
+  supabase,
+  tables,
+  onEvent,
+  backfillTables = [],
+  store,
+  oldFields = {},
+  lastRowsTtlMs = LAST_ROWS_TTL_MS,
+  baseDelayMs = 1000,
+  maxDelayMs = 60000
+}) {
+  let channel = null;
+  let generation = 0;
+  let attempts = 0;
+  let reconnectTimer = null;
+  let disconnectedAt = null;
+  let currentStatus = 'CONNECTING';
+  let statusSince = new Date().toISOString();
+  const startedAt = statusSince;
+  // Last moment the channel was subscribed; flapping between error states does not move it
+  let lastSubscribedAt = null;
+  let stopped = false;
+  const lastSeen = new Map(); // table -> ISO timestamp of the newest row seen
+
+  function noteSeen(table, row) {
+    const ts = rowTimestamp(row);
+    if (!ts) return;
+    const previous = lastSeen.get(table);
+    if (!previous || new Date(ts) > new Date(previous)) lastSeen.set(table, ts);
+  }
+
+  function rowKey(table, row) {
+    return `${table}:${row.id}`;
+  }
+
+  // Last seen values of a row's oldFields, the "old" row of a replayed UPDATE
+  function remember(table, row) {
+    const fields = oldFields[table];
+    if (!store || !fields || !row || row.id === undefined || row.id === null) return;
+    store.set('last_rows', rowKey(table, row), Object.fromEntries(
+      fields.filter(field => field in row).map(field => [field, row[field]])
+    ), { ttlMs: lastRowsTtlMs });
+  }
+
+  // The remembered "old" row, or null when this row was never seen
+  function previousRow(table, row) {
+    const remembered = store && oldFields[table] ? store.get('last_rows', rowKey(table, row)) : undefined;
+    return remembered ? { ...remembered, id: row.id } : null;
+  }
+
+  async function handle(payload) {
+    noteSeen(payload.table, payload.new);
+    remember(payload.table, payload.new);
+    await onEvent(payload);
+  }
+
+  async function fetchChangedRows(table, since) {
+    const { data, error } = await supabase.from(table)
+      .select('*')
+      .or(`created_at.gt.${since},updated_at.gt.${since}`)
+      .limit(BACKFILL_LIMIT);
+    if (!error) return data || [];
+
+    // Tables without an updated_at column only support INSERT backfill
+    log.warn('Backfill by updated_at failed, falling back to created_at', { table, err: error });
+    const fallback = await supabase.from(table)
+      .select('*')
+      .gt('created_at', since)
+      .limit(BACKFILL_LIMIT);
+    if (fallback.error) throw new Error(`${table}: ${fallback.error.message}`);
+    return fallback.data || [];
+  }
+
+  async function backfill(fallbackSince) {
+    for (const table of backfillTables) {
+      const since = lastSeen.get(table) || fallbackSince;
+      try {
+        const rows = await fetchChangedRows(table, since);
+        if (rows.length === BACKFILL_LIMIT) {
+          log.warn('Backfill hit the row limit, older changes may be missing', { table, limit: BACKFILL_LIMIT });
+        }
+        rows.sort((a, b) => new Date(rowTimestamp(a)) - new Date(rowTimestamp(b)));
+        log.info('Backfilling changed rows', { table, rows: rows.length, since });
+
+        let skipped = 0;
+        for (const row of rows) {
+          const inserted = row.created_at && new Date(row.created_at) > new Date(since);
+          if (inserted) {
+            await handle({ schema: 'public', table, eventType: 'INSERT', new: row, old: {}, backfill: true });
+            continue;
+          }
+          const old = previousRow(table, row);
+          if (!old) {
+            skipped += 1;
+            continue;
+          }
+          await handle({ schema: 'public', table, eventType: 'UPDATE', new: row, old, backfill: true });
+        }
+        if (skipped) log.info('Skipped backfilled updates of rows never seen before', { table, rows: skipped });
+      } catch (err) {
+        log.error('Backfill failed', { table, err });
+      }
+    }
+  }
+
+  function scheduleReconnect(reason) {
+    if (stopped || reconnectTimer) return;
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempts) + Math.floor(Math.random() * 1000);
+    attempts += 1;
+    log.error('Realtime channel down, reconnecting', { reason, retryMs: delay, attempt: attempts });
+    reconnectTimer = setTimeout(async () => {
+      reconnectTimer = null;
+      log.info('Reconnecting realtime channel');
+      await connect();
+    }, delay);
+  }
+
+  async function connect() {
+    const myGeneration = ++generation;
+
+    if (channel) {
+      const previous = channel;
+      channel = null;
+      await supabase.removeChannel(previous).catch(err => {
+        log.error('Failed to remove previous realtime channel', { err });
+      });
+    }
+
+    let next = supabase.channel(CHANNEL_NAME);
+    for (const table of tables) {
+      next = next.on('postgres_changes', { event: '*', schema: 'public', table }, handle);
+    }
+    channel = next;
+
+    channel.subscribe((status, err) => {
+      // Status callbacks from a channel we already replaced are stale
+      if (myGeneration !== generation) return;
+      if (status !== currentStatus) {
+        statusSince = new Date().toISOString();
+        if (currentStatus === 'SUBSCRIBED') lastSubscribedAt = statusSince;
+      }
+      currentStatus = status;
+      log.info('Database events subscription status', { status });
+
+      if (status === 'SUBSCRIBED') {
+        log.info('Subscribed to database events', { tables });
+        attempts = 0;
+        if (disconnectedAt) {
+          const since = disconnectedAt;
+          disconnectedAt = null;
+          backfill(since).catch(e => log.error('Backfill failed', { err: e }));
+        }
+      } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+        if (err) log.error('Realtime channel error', { err });
+        if (!disconnectedAt) disconnectedAt = new Date().toISOString();
+        scheduleReconnect(status);
+      }
+    });
+  }
+
+  async function stop() {
+    stopped = true;
+    if (reconnectTimer) clearTimeout(reconnectTimer);
+    generation += 1;
+    if (channel) {
+      const previous = channel;
+      channel = null;
+      await supabase.removeChannel(previous);
+    }
+  }
+
+  function status() {
+    return {
+      status: currentStatus,
+      since: statusSince,
+      startedAt,
+      lastSubscribedAt: currentStatus === 'SUBSCRIBED' ? new Date().toISOString() : lastSubscribedAt,
+      attempts,
+      lastSeen: Object.fromEntries(lastSeen)
+    };
+  }
+
+  return { connect, stop, status };
+}
+
+module.exports = { createRealtimeSubscription };
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const { log, withCorrelation } = require('./logger');
+const { renderAlert } = require('./notifiers');
+
+// Replay of recorded events through the real handlers.
+//
+// A fixture file is JSONL. Each line is either a postgres_changes payload
+// exactly as the realtime callback receives it
+//   { "table": "Users", "eventType": "UPDATE", "new": { ... }, "old": { ... } }
+// or an SQS message body, optionally with the MessageId it arrived with
+//   { "sqs": { "type": "order", "orderId": "...", ... }, "messageId": "m-1" }
+// Lines run in order and one at a time, so dedup and milestones behave as
+// they would live. Alerts land in a capture sink instead of being sent.
+
+function readFixtures(file) {
+  const entries = [];
+  fs.readFileSync(file, 'utf8').split('\n').forEach((text, index) => {
+    if (!text.trim()) return;
+    let entry;
+    try {
+      entry = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`${file}:${index + 1}: ${err.message}`);
+    }
+    if (entry.sqs === undefined && !(entry.table && entry.eventType)) {
+      throw new Error(`${file}:${index + 1}: expected a postgres_changes payload or { "sqs": ... }`);
+    }
+    entries.push({ line: index + 1, entry });
+  });
+  return entries;
+}
+
+// Notifier backend that records every delivery instead of sending it
+function createCaptureSink() {
+  const captured = [];
+
+  async function send(alert, destination) {
+    captured.push({ alert, destination });
+  }
+
+  return { send, captured };
+}
+
+// Feeds fixtures to app.handleDbEvent / app.processSQSMessage and tags each
+// captured delivery with the fixture line that caused it
+async function replayFixtures({ app, sink, fixtures }) {
+  let rejected = 0;
+  for (const { line, entry } of fixtures) {
+    const before = sink.captured.length;
+    if (entry.sqs !== undefined) {
+      const message = { MessageId: entry.messageId || `replay-${line}`, Body: JSON.stringify(entry.sqs) };
+      try {
+        await withCorrelation(message.MessageId, () => app.processSQSMessage(entry.sqs, message));
+      } catch (err) {
+        rejected += 1;
+        log.warn('Replayed SQS message failed', { line, messageId: message.MessageId, err });
+      }
+    } else {
+      await app.handleDbEvent(entry);
+    }
+    sink.captured.slice(before).forEach(capture => { capture.line = line; });
+  }
+  return { events: fixtures.length, rejected, alerts: sink.captured.length };
+}
+
+// Text as each destination type would show it, unless one format is forced
+const DESTINATION_FORMATS = { slack: 'slack', discord: 'discord', webhook: 'plain' };
+
+function describeCapture({ alert, destination, line }, renderer, format) {
+  const type = destination.type || 'telegram';
+  return {
+    line,
+    destination: destination.name,
+    type,
+    category: alert.category,
+    severity: alert.severity || 'info',
+    ruleId: alert.ruleId,
+    source: alert.source,
+    id: alert.id,
+    text: renderAlert(alert, renderer, format || DESTINATION_FORMATS[type] || renderer.format).text
+  };
+}
+
+// Every field of an expectation must equal the captured value; returns mismatch descriptions
+function compareCaptures(actual, expected) {
+  const problems = [];
+  for (let i = 0; i < Math.max(actual.length, expected.length); i++) {
+    if (!expected[i]) {
+      problems.push(`#${i + 1}: unexpected ${actual[i].category} alert to ${actual[i].destination} (line ${actual[i].line})`);
+      continue;
+    }
+    if (!actual[i]) {
+      problems.push(`#${i + 1}: missing ${JSON.stringify(expected[i])}`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(expected[i])) {
+      if (JSON.stringify(actual[i][key]) !== JSON.stringify(value)) {
+        problems.push(`#${i + 1}: ${key} is ${JSON.stringify(actual[i][key])}, expected ${JSON.stringify(value)}`);
+      }
+    }
+  }
+  return problems;
+}
+
+module.exports = { readFixtures, createCaptureSink, replayFixtures, describeCapture, compareCaptures };
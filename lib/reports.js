@@ -0,0 +1,217 @@
+const { escapeHtml, fmt } = require('./template');
+const { normalizeError } = require('./stats');
+const { log } = require('./logger');
+
+// Scheduled daily and weekly digests.
+//
+// Reports combine Supabase queries (signups, copy trade outcomes, error
+// messages, wallets added) with the counters the bot keeps from events it
+// has seen (deposits, PnL changes, SQS order statuses, wallets toggled).
+// Times are "HH:MM" in REPORT_TIMEZONE. The scheduler checks every 30s and
+// remembers the last report it sent in the state store, so with the file
+// backend a restart neither skips nor repeats one. The watched-wallet
+// leaderboard (see wallets.js) is scheduled the same way, weekly on
+// LEADERBOARD_DAY or daily when that is empty.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TOP_N = 3;
+const ERROR_SAMPLE_LIMIT = 1000;
+
+// Calendar date, time and weekday of `date` in the given IANA timezone
+function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(p => [p.type, p.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: parts.weekday.toLowerCase()
+  };
+}
+
+function topEntries(counts, n) {
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, n);
+}
+
+function formatPercent(ratio, digits = 0) {
+  if (ratio === null || ratio === undefined) return '-';
+  const factor = 10 ** digits;
+  return `${Math.round(ratio * 100 * factor) / factor}%`;
+}
+
+function shortWallet(wallet) {
+  return wallet.length > 12 ? `${wallet.slice(0, 6)}…${wallet.slice(-4)}` : wallet;
+}
+
+function createReporter({ supabase, counters, wallets }) {
+  async function count(table, column, since, until, filter) {
+    let query = supabase.from(table)
+      .select('id', { count: 'exact', head: true })
+      .gte(column, since.toISOString())
+      .lt(column, until.toISOString());
+    if (filter) query = filter(query);
+    const { count: total, error } = await query;
+    if (error) throw new Error(`${table}: ${error.message}`);
+    return total || 0;
+  }
+
+  async function tradeErrors(since, until) {
+    const { data, error } = await supabase.from('Auto_Trade')
+      .select('error_message')
+      .in('status', ['failed', 'skipped'])
+      .gte('updated_at', since.toISOString())
+      .lt('updated_at', until.toISOString())
+      .limit(ERROR_SAMPLE_LIMIT);
+    if (error) throw new Error(`Auto_Trade: ${error.message}`);
+
+    const byMessage = {};
+    for (const row of data || []) {
+      const message = normalizeError(row.error_message);
+      byMessage[message] = (byMessage[message] || 0) + 1;
+    }
+    return byMessage;
+  }
+
+  async function build(title, since, until) {
+    const observed = counters.aggregate(since, until);
+    const [signups, executed, failed, skipped, walletsAdded, errors] = await Promise.all([
+      count('Users', 'created_at', since, until),
+      count('Auto_Trade', 'updated_at', since, until, q => q.eq('status', 'executed')),
+      count('Auto_Trade', 'updated_at', since, until, q => q.eq('status', 'failed')),
+      count('Auto_Trade', 'updated_at', since, until, q => q.eq('status', 'skipped')),
+      count('Copy_Wallets', 'created_at', since, until),
+      tradeErrors(since, until)
+    ]);
+
+    const pnl = Object.entries(observed.pnl).map(([userId, entry]) => ({ userId, ...entry }));
+    const gainers = pnl.filter(p => p.change > 0).sort((a, b) => b.change - a.change).slice(0, TOP_N);
+    const losers = pnl.filter(p => p.change < 0).sort((a, b) => a.change - b.change).slice(0, TOP_N);
+    const formatPnl = p => `• @${escapeHtml(p.username)} (<code>${escapeHtml(p.userId)}</code>) ${p.change > 0 ? '+' : ''}${fmt(Math.round(p.change * 100) / 100)}`;
+
+    const orders = topEntries(observed.orders, Infinity);
+    const netWallets = walletsAdded - observed.copyWallets.removed;
+
+    return `📋 <b>${escapeHtml(title)}</b>\n` +
+      `<i>${since.toISOString()} → ${until.toISOString()}</i>\n\n` +
+      `👤 New users: <b>${signups}</b>\n` +
+      `💰 Deposits: <b>${observed.deposits}</b> totalling <b>${fmt(Math.round(observed.depositTotal * 100) / 100)}</b>\n\n` +
+      `<b>Top PnL gainers</b>\n${gainers.length ? gainers.map(formatPnl).join('\n') : 'None'}\n` +
+      `<b>Top PnL losers</b>\n${losers.length ? losers.map(formatPnl).join('\n') : 'None'}\n\n` +
+      `🤖 Copy trades: ✅ <b>${executed}</b> | ❌ <b>${failed}</b> | ⏭️ <b>${skipped}</b>\n` +
+      (Object.keys(errors).length
+        ? `<b>Most common errors</b>\n${topEntries(errors, TOP_N).map(([msg, n]) => `• ${n}× <code>${escapeHtml(msg)}</code>`).join('\n')}\n`
+        : '') +
+      `\n📦 SQS orders: ${orders.length ? orders.map(([status, n]) => `${escapeHtml(status)} <b>${n}</b>`).join(' | ') : 'none'}\n` +
+      `👁️ Copy wallets: <b>${netWallets >= 0 ? '+' : ''}${netWallets}</b> net ` +
+      `(+${walletsAdded} added, -${observed.copyWallets.removed} removed, ` +
+      `${observed.copyWallets.enabled} enabled, ${observed.copyWallets.disabled} disabled)`;
+  }
+
+  function daily(until = new Date()) {
+    return build('Daily summary', new Date(until.getTime() - DAY_MS), until);
+  }
+
+  function weekly(until = new Date()) {
+    return build('Weekly summary', new Date(until.getTime() - 7 * DAY_MS), until);
+  }
+
+  // Most followed watched wallets and how their copies went over the last `days`
+  async function leaderboard({ days = 7, until = new Date(), limit = 10 } = {}) {
+    const since = new Date(until.getTime() - days * DAY_MS);
+    const rows = wallets.leaderboard(since, until, limit);
+    const lines = rows.map((row, index) => (
+      `${index + 1}. <code>${escapeHtml(shortWallet(row.wallet))}</code> 👥 <b>${row.followers}</b>` +
+      ` (avg ratio ${formatPercent(row.avgRatio)})\n` +
+      `   Mirrored <b>${row.mirrored}</b> | ✅ ${formatPercent(row.successRate)} of ${row.outcomes}` +
+      ` | Slippage ${formatPercent(row.avgSlippage, 2)}`
+    ));
+
+    return `🏆 <b>Watched wallet leaderboard</b>\n` +
+      `<i>${since.toISOString()} → ${until.toISOString()}</i>\n\n` +
+      (lines.length ? lines.join('\n') : 'No followed wallets or mirrored trades yet') +
+      `\n\n<i>Trades and slippage are counted from events the bot has seen</i>`;
+  }
+
+  return { daily, weekly, leaderboard };
+}
+
+function startReportScheduler({
+  reporter, store, send, timeZone = 'UTC', dailyTime, weeklyDay, weeklyTime, leaderboardDay, leaderboardTime, leaderboardSize
+}) {
+  // A job without a day runs every day; one without a time is off
+  const jobs = [
+    { kind: 'daily', time: dailyTime, timeEnv: 'REPORT_DAILY_TIME', build: () => reporter.daily() },
+    {
+      kind: 'weekly',
+      day: weeklyDay,
+      time: weeklyTime,
+      dayEnv: 'REPORT_WEEKLY_DAY',
+      timeEnv: 'REPORT_WEEKLY_TIME',
+      build: () => reporter.weekly()
+    },
+    {
+      kind: 'leaderboard',
+      day: leaderboardDay,
+      time: leaderboardTime,
+      dayEnv: 'LEADERBOARD_DAY',
+      timeEnv: 'LEADERBOARD_TIME',
+      build: () => reporter.leaderboard({ days: leaderboardDay ? 7 : 1, limit: leaderboardSize })
+    }
+  ];
+
+  for (const job of jobs) {
+    if (job.time && !/^([01]\d|2[0-3]):[0-5]\d$/.test(job.time)) {
+      throw new Error(`${job.timeEnv} must look like HH:MM, got "${job.time}"`);
+    }
+    if (job.day && !WEEKDAYS.includes(job.day)) {
+      throw new Error(`${job.dayEnv} must be one of ${WEEKDAYS.join(', ')}`);
+    }
+  }
+
+  function due(job, now) {
+    return Boolean(job.time) && (!job.day || job.day === now.weekday) && now.time >= job.time;
+  }
+
+  async function run(kind, periodKey, buildReport) {
+    // Mark first so a slow or failing build is not retried every tick
+    store.set('reports', kind, periodKey);
+    try {
+      await send(await buildReport());
+      log.info('Sent report', { kind, period: periodKey });
+    } catch (err) {
+      log.error('Failed to send report', { kind, period: periodKey, err });
+    }
+  }
+
+  async function tick() {
+    const now = zonedParts(new Date(), timeZone);
+    for (const job of jobs) {
+      if (due(job, now) && store.get('reports', job.kind) !== now.date) {
+        await run(job.kind, now.date, job.build);
+      }
+    }
+  }
+
+  // Don't fire a report the moment the bot first starts after the scheduled time
+  const startup = zonedParts(new Date(), timeZone);
+  for (const job of jobs) {
+    if (due(job, startup) && !store.get('reports', job.kind)) {
+      store.set('reports', job.kind, startup.date);
+    }
+  }
+
+  return setInterval(() => {
+    tick().catch(err => log.error('Report scheduler error', { err }));
+  }, 30000);
+}
+
+module.exports = { createReporter, startReportScheduler, zonedParts };
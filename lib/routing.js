@@ -0,0 +1,123 @@
+const fs = require('fs');
+
+// Alert routing: maps alert categories to one or more destinations.
+//
+// A destination has a type and a minimum severity. "telegram" (the default)
+// is a chat, optionally a forum topic via threadId; "slack" and "discord" are
+// incoming webhook URLs; "webhook" is a generic HTTP endpoint that receives
+// the alert as JSON signed with "secret" (see notifiers.js). Values written
+// as "$NAME" are read from the environment so the default file can point at
+// CHAT_ID and URLs and secrets stay out of the repo.
+//
+//   {
+//     "destinations": {
+//       "ops":     { "chatId": "$CHAT_ID" },
+//       "trades":  { "chatId": "-1001234567890", "threadId": 42, "minSeverity": "warning" },
+//       "support": { "type": "slack", "url": "$SLACK_WEBHOOK_URL" },
+//       "desk":    { "type": "webhook", "url": "$DESK_WEBHOOK_URL", "secret": "$DESK_WEBHOOK_SECRET" }
+//     },
+//     "routes": {
+//       "trade_failed": ["ops", "trades", "support"],
+//       "*": ["ops", "desk"]
+//     }
+//   }
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const DESTINATION_TYPES = ['telegram', 'slack', 'discord', 'webhook'];
+
+function severityRank(severity) {
+  const rank = SEVERITIES.indexOf(severity || 'info');
+  return rank === -1 ? 0 : rank;
+}
+
+function expandEnv(value) {
+  if (typeof value === 'string' && value.startsWith('$')) {
+    return process.env[value.slice(1)];
+  }
+  return value;
+}
+
+function validateRouting(config, source = 'routing config') {
+  const destinations = {};
+  for (const [name, raw] of Object.entries(config.destinations || {})) {
+    const type = raw.type || 'telegram';
+    if (!DESTINATION_TYPES.includes(type)) {
+      throw new Error(`${source}: destination "${name}" has unknown type "${type}"`);
+    }
+    const minSeverity = raw.minSeverity || 'info';
+    if (!SEVERITIES.includes(minSeverity)) {
+      throw new Error(`${source}: destination "${name}" has unknown minSeverity "${minSeverity}"`);
+    }
+
+    if (type === 'telegram') {
+      const chatId = expandEnv(raw.chatId);
+      if (!chatId) throw new Error(`${source}: destination "${name}" has no chatId`);
+      const threadId = expandEnv(raw.threadId);
+      destinations[name] = {
+        name,
+        type,
+        chatId: String(chatId),
+        threadId: threadId ? Number(threadId) : undefined,
+        minSeverity
+      };
+      continue;
+    }
+
+    const url = expandEnv(raw.url);
+    if (!url) throw new Error(`${source}: ${type} destination "${name}" has no url`);
+    const secret = expandEnv(raw.secret);
+    if (type === 'webhook' && !secret) {
+      throw new Error(`${source}: webhook destination "${name}" needs a secret to sign payloads`);
+    }
+    destinations[name] = { name, type, url, secret, username: raw.username, minSeverity };
+  }
+
+  const routes = {};
+  for (const [category, targets] of Object.entries(config.routes || {})) {
+    const list = Array.isArray(targets) ? targets : [targets];
+    for (const target of list) {
+      if (!destinations[target]) {
+        throw new Error(`${source}: route "${category}" points at unknown destination "${target}"`);
+      }
+    }
+    routes[category] = list;
+  }
+
+  return { destinations, routes };
+}
+
+function loadRouting(filePath) {
+  return validateRouting(JSON.parse(fs.readFileSync(filePath, 'utf8')), filePath);
+}
+
+// Used when no routing file exists: everything goes to CHAT_ID
+function defaultRouting(chatId) {
+  return validateRouting({
+    destinations: { default: { chatId } },
+    routes: { '*': ['default'] }
+  });
+}
+
+function createRouter(initialConfig) {
+  let config = initialConfig;
+
+  // Destinations that should receive an alert of this category and severity
+  function resolve(category, severity) {
+    const targets = config.routes[category] || config.routes['*'] || [];
+    return targets
+      .map(name => config.destinations[name])
+      .filter(dest => severityRank(severity) >= severityRank(dest.minSeverity));
+  }
+
+  function destination(name) {
+    return config.destinations[name];
+  }
+
+  function setConfig(nextConfig) {
+    config = nextConfig;
+  }
+
+  return { resolve, destination, setConfig };
+}
+
+module.exports = { loadRouting, defaultRouting, validateRouting, createRouter, SEVERITIES, DESTINATION_TYPES };
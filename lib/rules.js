@@ -0,0 +1,201 @@
+const fs = require('fs');
+const { SEVERITIES } = require('./routing');
+const { log } = require('./logger');
+
+// Declarative alert rules.
+//
+// Each rule names a table/event pair, a condition evaluated against the
+// postgres_changes payload and a named message template
+// (config/templates.json). Rules are evaluated in file order; a rule with
+// "stop": true prevents later rules for the same table/event from firing once
+// it has matched. "category" and "severity" (info, warning, critical) decide
+// where the alert is routed. "watchlist": true limits a rule to rows of
+// watched users and wallets, "watchlist": false to everyone else (see
+// watchlist.js). "suppressDuringIncident": true drops the alert while an open
+// failure incident covers its row (see incidents.js). Rules sharing a
+// "thread" name (e.g. "trade") edit one Telegram message per row as its
+// status moves on, instead of sending a new one each time; a critical one
+// (trade_failed) replies to that message instead, since edits notify no one.
+//
+// Supported conditions:
+//   { "type": "always" }
+//   { "type": "delta", "field": "fees_total", "gte": 50 }            (gt/gte/lt/lte/absGt/absGte)
+//   { "type": "crosses", "field": "total_volume", "thresholds": [1000, 5000] }
+//   { "type": "flip", "field": "is_enabled", "to": true }
+//   { "type": "transition", "field": "status", "to": "failed" }
+
+const DELTA_OPERATORS = {
+  gt: (delta, n) => delta > n,
+  gte: (delta, n) => delta >= n,
+  lt: (delta, n) => delta < n,
+  lte: (delta, n) => delta <= n,
+  absGt: (delta, n) => Math.abs(delta) > n,
+  absGte: (delta, n) => Math.abs(delta) >= n
+};
+
+const CONDITION_TYPES = ['always', 'delta', 'crosses', 'flip', 'transition'];
+
+function validateRule(rule, index) {
+  const where = `rule #${index + 1}${rule.id ? ` (${rule.id})` : ''}`;
+  for (const key of ['id', 'table', 'event', 'template']) {
+    if (!rule[key]) throw new Error(`Invalid ${where}: missing "${key}"`);
+  }
+  if (rule.severity && !SEVERITIES.includes(rule.severity)) {
+    throw new Error(`Invalid ${where}: unknown severity "${rule.severity}"`);
+  }
+  if ('watchlist' in rule && typeof rule.watchlist !== 'boolean') {
+    throw new Error(`Invalid ${where}: "watchlist" must be true or false`);
+  }
+  if ('thread' in rule && (typeof rule.thread !== 'string' || !rule.thread)) {
+    throw new Error(`Invalid ${where}: "thread" must be a name`);
+  }
+  if ('suppressDuringIncident' in rule && typeof rule.suppressDuringIncident !== 'boolean') {
+    throw new Error(`Invalid ${where}: "suppressDuringIncident" must be true or false`);
+  }
+  const condition = rule.condition || { type: 'always' };
+  if (!CONDITION_TYPES.includes(condition.type)) {
+    throw new Error(`Invalid ${where}: unknown condition type "${condition.type}"`);
+  }
+  if (condition.type !== 'always' && !condition.field) {
+    throw new Error(`Invalid ${where}: condition "${condition.type}" needs a "field"`);
+  }
+  if (condition.type === 'delta' && !Object.keys(DELTA_OPERATORS).some(op => op in condition)) {
+    throw new Error(`Invalid ${where}: delta condition needs one of ${Object.keys(DELTA_OPERATORS).join(', ')}`);
+  }
+  if (condition.type === 'crosses' && !Array.isArray(condition.thresholds)) {
+    throw new Error(`Invalid ${where}: crosses condition needs a "thresholds" array`);
+  }
+  return { ...rule, condition };
+}
+
+function loadRules(filePath) {
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const rules = Array.isArray(parsed) ? parsed : parsed.rules;
+  if (!Array.isArray(rules)) throw new Error(`${filePath} must contain a "rules" array`);
+  return rules.map(validateRule);
+}
+
+// Returns extra template context when the condition matches, null otherwise
+function matchCondition(rule, payload, deps) {
+  const condition = rule.condition;
+  const rowNew = payload.new || {};
+  const rowOld = payload.old || {};
+  const field = condition.field;
+
+  switch (condition.type) {
+    case 'always':
+      return {};
+
+    case 'delta': {
+      if (!(field in rowOld)) return null;
+      const value = Number(rowNew[field] || 0);
+      const previous = Number(rowOld[field] || 0);
+      const delta = value - previous;
+      for (const [op, test] of Object.entries(DELTA_OPERATORS)) {
+        if (op in condition && !test(delta, Number(condition[op]))) return null;
+      }
+      return { value, previous, delta };
+    }
+
+    case 'crosses': {
+      const value = Number(rowNew[field] || 0);
+      const previous = Number(rowOld[field] || 0);
+      const milestone = deps.checkMilestone(rowNew.id, rule.id, previous, value, condition.thresholds, m => m);
+      return milestone === null ? null : { value, previous, milestone };
+    }
+
+    case 'flip': {
+      if (!(field in rowOld)) return null;
+      const value = Boolean(rowNew[field]);
+      const previous = Boolean(rowOld[field]);
+      if (value === previous) return null;
+      if ('to' in condition && value !== Boolean(condition.to)) return null;
+      return { value, previous };
+    }
+
+    case 'transition': {
+      const value = String(rowNew[field] || '').toLowerCase();
+      const previous = String(rowOld[field] || '').toLowerCase();
+      if (value === previous) return null;
+      if ('to' in condition && value !== String(condition.to).toLowerCase()) return null;
+      if ('from' in condition && previous !== String(condition.from).toLowerCase()) return null;
+      return { value, previous };
+    }
+
+    default:
+      return null;
+  }
+}
+
+function hasRelevantOldData(payload) {
+  const rowOld = payload.old || {};
+  return Object.keys(rowOld).length > 1;
+}
+
+// Thread key and current status of the row an alert is about
+function threadFor(name, payload) {
+  const row = payload.new && Object.keys(payload.new).length ? payload.new : payload.old || {};
+  if (row.id === undefined || row.id === null) return undefined;
+  return { key: `${name}:${row.id}`, status: row.status };
+}
+
+function createRuleEngine({ rules, checkMilestone, isWatched = () => false }) {
+  let activeRules = rules;
+
+  // Alerts carry the template name and its context; each notifier renders
+  // them in its own format (see notifiers.js)
+  function evaluate(table, event, payload) {
+    const alerts = [];
+    const watched = isWatched(table, payload.new && Object.keys(payload.new).length ? payload.new : payload.old);
+    for (const rule of activeRules) {
+      if (rule.enabled === false || rule.table !== table || rule.event !== event) continue;
+      if ('watchlist' in rule && rule.watchlist !== watched) {
+        log.debug('Rule skipped by watchlist', { ruleId: rule.id, watched });
+        continue;
+      }
+      if (rule.requireOld && !hasRelevantOldData(payload)) {
+        log.debug('Rule skipped, payload has no old row', { ruleId: rule.id });
+        continue;
+      }
+
+      const match = matchCondition(rule, payload, { checkMilestone });
+      if (!match) {
+        log.debug('Rule condition did not match', { ruleId: rule.id, condition: rule.condition.type });
+        continue;
+      }
+      log.debug('Rule matched', { ruleId: rule.id });
+
+      const context = { new: payload.new || {}, old: payload.old || {}, watched, ...match };
+      alerts.push({
+        ruleId: rule.id,
+        category: rule.category || rule.id,
+        severity: rule.severity || 'info',
+        table,
+        event,
+        template: rule.template,
+        context,
+        thread: rule.thread ? threadFor(rule.thread, payload) : undefined,
+        suppressDuringIncident: rule.suppressDuringIncident === true
+      });
+      if (rule.stop) break;
+    }
+    return alerts;
+  }
+
+  // Unique tables referenced by the enabled rules, used to build subscriptions
+  function tables() {
+    return [...new Set(activeRules.filter(r => r.enabled !== false).map(r => r.table))];
+  }
+
+  function categories() {
+    return [...new Set(activeRules.map(r => r.category || r.id))];
+  }
+
+  function setRules(nextRules) {
+    activeRules = nextRules;
+  }
+
+  return { evaluate, tables, categories, setRules };
+}
+
+module.exports = { loadRules, createRuleEngine, validateRule };
@@ -0,0 +1,136 @@
+// Versioned schemas for messages on the SQS order queue.
+//
+// Every message may carry "type" (default "order") and "version" (default 1).
+// validateMessage() checks required fields, enums, numbers and timestamps,
+// coerces values to their proper types and reports every problem at once as
+// field-level errors. To add an event type, add an entry here and a handler
+// in bot.js; messages of other types keep working unchanged.
+
+const ORDER_STATUSES = ['matched', 'filled', 'partial', 'cancelled', 'failed', 'pending'];
+const SIDES = ['YES', 'NO', 'BUY', 'SELL'];
+const ORDER_TYPES = ['market', 'limit', 'gtc', 'gtd', 'fok', 'fak'];
+
+const SCHEMAS = {
+  order: {
+    1: {
+      userId: { type: 'id', required: true },
+      username: { type: 'string', required: true },
+      orderId: { type: 'id', required: true },
+      orderType: { type: 'enum', values: ORDER_TYPES, case: 'lower' },
+      side: { type: 'enum', values: SIDES, case: 'upper', required: true },
+      marketId: { type: 'id' },
+      marketQuestion: { type: 'string', required: true },
+      outcome: { type: 'string' },
+      amount: { type: 'number', required: true },
+      shares: { type: 'number' },
+      executionPrice: { type: 'number' },
+      txHash: { type: 'string' },
+      timestamp: { type: 'timestamp', required: true },
+      status: { type: 'enum', values: ORDER_STATUSES, case: 'lower', required: true }
+    }
+  },
+  cancellation: {
+    1: {
+      userId: { type: 'id', required: true },
+      username: { type: 'string', required: true },
+      orderId: { type: 'id', required: true },
+      marketId: { type: 'id' },
+      marketQuestion: { type: 'string' },
+      reason: { type: 'string' },
+      timestamp: { type: 'timestamp', required: true }
+    }
+  },
+  settlement: {
+    1: {
+      userId: { type: 'id', required: true },
+      username: { type: 'string', required: true },
+      marketId: { type: 'id', required: true },
+      marketQuestion: { type: 'string', required: true },
+      outcome: { type: 'string', required: true },
+      shares: { type: 'number' },
+      payout: { type: 'number', required: true },
+      txHash: { type: 'string' },
+      timestamp: { type: 'timestamp', required: true }
+    }
+  }
+};
+
+// Returns [value, errorMessage]
+function coerceField(spec, raw) {
+  switch (spec.type) {
+    case 'string':
+      if (typeof raw !== 'string') return [undefined, 'must be a string'];
+      return [raw, null];
+
+    case 'id':
+      if (typeof raw !== 'string' && typeof raw !== 'number') return [undefined, 'must be a string or number'];
+      return [String(raw), null];
+
+    case 'number': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return [undefined, `must be numeric, got ${JSON.stringify(raw)}`];
+      return [value, null];
+    }
+
+    case 'timestamp': {
+      // ISO strings, or epoch seconds/milliseconds
+      let date;
+      if (typeof raw === 'number') {
+        date = new Date(raw < 1e12 ? raw * 1000 : raw);
+      } else if (typeof raw === 'string') {
+        date = new Date(raw);
+      }
+      if (!date || Number.isNaN(date.getTime())) return [undefined, `must be an ISO timestamp, got ${JSON.stringify(raw)}`];
+      return [date, null];
+    }
+
+    case 'enum': {
+      if (typeof raw !== 'string') return [undefined, `must be one of ${spec.values.join(', ')}`];
+      const value = spec.case === 'upper' ? raw.toUpperCase() : spec.case === 'lower' ? raw.toLowerCase() : raw;
+      if (!spec.values.includes(value)) return [undefined, `must be one of ${spec.values.join(', ')}, got ${JSON.stringify(raw)}`];
+      return [value, null];
+    }
+
+    default:
+      return [undefined, `has unknown schema type "${spec.type}"`];
+  }
+}
+
+function validateMessage(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return { ok: false, errors: [{ field: '(message)', message: 'must be a JSON object' }] };
+  }
+
+  const type = message.type || 'order';
+  const version = Number(message.version || 1);
+  const versions = SCHEMAS[type];
+  if (!versions) {
+    return { ok: false, type, version, errors: [{ field: 'type', message: `unknown message type "${type}"` }] };
+  }
+  const schema = versions[version];
+  if (!schema) {
+    return { ok: false, type, version, errors: [{ field: 'version', message: `unsupported ${type} version ${message.version}` }] };
+  }
+
+  const value = { type, version };
+  const errors = [];
+  for (const [field, spec] of Object.entries(schema)) {
+    const raw = message[field];
+    if (raw === undefined || raw === null || raw === '') {
+      if (spec.required) errors.push({ field, message: 'is required' });
+      continue;
+    }
+    const [coerced, error] = coerceField(spec, raw);
+    if (error) {
+      errors.push({ field, message: error });
+    } else {
+      value[field] = coerced;
+    }
+  }
+
+  return errors.length
+    ? { ok: false, type, version, errors }
+    : { ok: true, type, version, value };
+}
+
+module.exports = { validateMessage, SCHEMAS, ORDER_STATUSES };
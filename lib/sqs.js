@@ -0,0 +1,299 @@
+const fs = require('fs');
+const path = require('path');
+const { log, withCorrelation } = require('./logger');
+
+// SQS order consumer with retry, dead-lettering and quarantine.
+//
+// A message is only deleted once its handler succeeded. Failed messages stay
+// on the queue (with a growing visibility timeout) until SQS has delivered
+// them maxAttempts times according to ApproximateReceiveCount; after that they
+// are copied to the dead-letter queue and deleted. Without a configured DLQ
+// they are simply left for redelivery, so a redrive policy on the queue still
+// applies. Bodies that are not valid JSON, and messages whose handler throws
+// an error with retryable === false (e.g. schema violations), can never
+// succeed: they are written to the quarantine log with the raw payload and
+// dead-lettered straight away.
+//
+// onOutcome(outcome, message) is called with "processed", "failed",
+// "deleted", "dead_lettered" or "rejected" for metrics, and status() reports
+// when the queue was last polled successfully.
+//
+// One consumer polls one queue and handles up to `concurrency` messages at a
+// time, receiving more as slots free up. While a handler runs, the message's
+// visibility timeout is extended every half timeout. stop() ends polling
+// (aborting a pending long poll) and resolves once in-flight messages finish.
+
+const MAX_VISIBILITY_SECONDS = 12 * 60 * 60;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Last path segment of a queue URL, for logs and metric labels
+function queueName(queueUrl) {
+  return String(queueUrl).split('/').pop();
+}
+
+function appendQuarantine(file, entry) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify({ quarantinedAt: new Date().toISOString(), ...entry }) + '\n');
+  } catch (err) {
+    log.error('Failed to write quarantine log', { file, err });
+  }
+}
+
+function createSQSConsumer({
+  sqs,
+  queueUrl,
+  handleMessage,
+  deadLetterQueueUrl,
+  maxAttempts = 5,
+  quarantineFile,
+  visibilityTimeout = 30,
+  concurrency = 10,
+  pollDelayMs = 1000,
+  onOutcome = () => {}
+}) {
+  const health = {
+    startedAt: null,
+    lastPollAt: null,
+    // Last successful poll or finished message: with every slot busy the
+    // consumer does not poll, but it is still working through messages
+    lastActivityAt: null,
+    lastErrorAt: null,
+    lastError: null,
+    consecutiveErrors: 0
+  };
+  const inFlight = new Set();
+  let running = false;
+  let receiving = null; // pending receiveMessage request, aborted on stop()
+  let loop = null;
+  let slotFreed = null;
+
+  async function deleteMessage(message) {
+    await sqs.deleteMessage({ QueueUrl: queueUrl, ReceiptHandle: message.ReceiptHandle }).promise();
+    onOutcome('deleted', message);
+  }
+
+  // Returns true when the message was moved to the DLQ
+  async function deadLetter(message, reason) {
+    if (!deadLetterQueueUrl) return false;
+    await sqs.sendMessage({
+      QueueUrl: deadLetterQueueUrl,
+      MessageBody: message.Body,
+      MessageAttributes: {
+        failureReason: { DataType: 'String', StringValue: String(reason).slice(0, 1000) },
+        sourceQueue: { DataType: 'String', StringValue: queueUrl },
+        sourceMessageId: { DataType: 'String', StringValue: String(message.MessageId) },
+        receiveCount: { DataType: 'Number', StringValue: String(message.Attributes?.ApproximateReceiveCount || 1) }
+      }
+    }).promise();
+    await deleteMessage(message);
+    onOutcome('dead_lettered', message);
+    log.error('Moved SQS message to the dead-letter queue', { messageId: message.MessageId, reason: String(reason) });
+    return true;
+  }
+
+  // Push the next delivery further out with each failed attempt
+  async function backOff(message, attempts) {
+    const seconds = Math.min(MAX_VISIBILITY_SECONDS, visibilityTimeout * 2 ** attempts);
+    await sqs.changeMessageVisibility({
+      QueueUrl: queueUrl,
+      ReceiptHandle: message.ReceiptHandle,
+      VisibilityTimeout: seconds
+    }).promise().catch(err => {
+      log.error('Failed to extend SQS message visibility', { messageId: message.MessageId, err });
+    });
+  }
+
+  // Quarantine and dead-letter a message that will never succeed
+  async function reject(message, reason, details) {
+    log.error('Rejecting SQS message', { messageId: message.MessageId, reason });
+    onOutcome('rejected', message);
+    if (quarantineFile) {
+      appendQuarantine(quarantineFile, {
+        queueUrl,
+        messageId: message.MessageId,
+        error: reason,
+        details,
+        body: message.Body
+      });
+    }
+    if (!(await deadLetter(message, reason))) {
+      // Nothing else can be done with it, the raw body is in the quarantine log
+      await deleteMessage(message);
+    }
+  }
+
+  // Extends the visibility timeout while a slow handler is still running, so
+  // SQS doesn't hand the message to another consumer halfway through
+  async function keepingVisible(message, work) {
+    const startedAt = Date.now();
+    const timer = setInterval(() => {
+      if (Date.now() - startedAt > MAX_VISIBILITY_SECONDS * 1000) return;
+      log.debug('Extending visibility of a slow SQS message', { messageId: message.MessageId });
+      sqs.changeMessageVisibility({
+        QueueUrl: queueUrl,
+        ReceiptHandle: message.ReceiptHandle,
+        VisibilityTimeout: visibilityTimeout
+      }).promise().catch(err => {
+        log.error('Failed to extend SQS message visibility', { messageId: message.MessageId, err });
+      });
+    }, visibilityTimeout * 500);
+    try {
+      return await work();
+    } finally {
+      clearInterval(timer);
+    }
+  }
+
+  function processMessage(message) {
+    return withCorrelation(message.MessageId, () => processInScope(message));
+  }
+
+  async function processInScope(message) {
+    const attempts = Number(message.Attributes?.ApproximateReceiveCount || 1);
+
+    let body;
+    try {
+      body = JSON.parse(message.Body);
+    } catch (parseError) {
+      await reject(message, `Malformed JSON: ${parseError.message}`);
+      return;
+    }
+
+    try {
+      await keepingVisible(message, () => handleMessage(body, message));
+    } catch (err) {
+      onOutcome('failed', message);
+      if (err?.retryable === false) {
+        await reject(message, err.message, err.details);
+        return;
+      }
+      log.error('Failed to process SQS message', { messageId: message.MessageId, attempt: attempts, maxAttempts, err });
+      if (attempts >= maxAttempts && await deadLetter(message, err?.message || err)) return;
+      await backOff(message, attempts);
+      return;
+    }
+    onOutcome('processed', message);
+    await deleteMessage(message);
+  }
+
+  // Runs a message without waiting for it, freeing its slot when done
+  function dispatch(message) {
+    const task = processMessage(message)
+      .catch(err => log.error('Error handling SQS message', { messageId: message.MessageId, err }))
+      .finally(() => {
+        inFlight.delete(task);
+        health.lastActivityAt = new Date().toISOString();
+        if (slotFreed) slotFreed();
+      });
+    inFlight.add(task);
+  }
+
+  function waitForSlot() {
+    return new Promise(resolve => { slotFreed = resolve; }).finally(() => { slotFreed = null; });
+  }
+
+  async function pollLoop() {
+    while (running) {
+      if (inFlight.size >= concurrency) {
+        await waitForSlot();
+        continue;
+      }
+
+      try {
+        receiving = sqs.receiveMessage({
+          QueueUrl: queueUrl,
+          MaxNumberOfMessages: Math.min(10, concurrency - inFlight.size),
+          WaitTimeSeconds: 20,
+          VisibilityTimeout: visibilityTimeout,
+          AttributeNames: ['ApproximateReceiveCount']
+        });
+        const data = await receiving.promise();
+        health.lastPollAt = new Date().toISOString();
+        health.lastActivityAt = health.lastPollAt;
+        health.consecutiveErrors = 0;
+
+        if (data.Messages && data.Messages.length > 0) {
+          log.info('Received SQS messages', { queue: queueName(queueUrl), count: data.Messages.length, inFlight: inFlight.size });
+          data.Messages.forEach(dispatch);
+        }
+      } catch (error) {
+        if (!running) break; // receive aborted by stop()
+        log.error('Error polling SQS', { queue: queueName(queueUrl), err: error });
+        health.lastErrorAt = new Date().toISOString();
+        health.lastError = error?.message || String(error);
+        health.consecutiveErrors += 1;
+        await sleep(pollDelayMs);
+      } finally {
+        receiving = null;
+      }
+    }
+  }
+
+  function start() {
+    health.startedAt = new Date().toISOString();
+    running = true;
+    loop = pollLoop();
+  }
+
+  // Stops polling and resolves once every message already received is handled
+  async function stop() {
+    running = false;
+    if (receiving && typeof receiving.abort === 'function') receiving.abort();
+    if (slotFreed) slotFreed();
+    await loop;
+    if (inFlight.size) log.info('Waiting for in-flight SQS messages', { queue: queueName(queueUrl), count: inFlight.size });
+    await Promise.all(inFlight);
+  }
+
+  function status() {
+    return { ...health, inFlight: inFlight.size, busy: inFlight.size >= concurrency };
+  }
+
+  return { start, stop, processMessage, status };
+}
+
+// Health across several consumers: as stale and as failing as the worst queue
+function combineStatus(statuses) {
+  const oldest = key => (statuses.some(s => !s[key]) ? null : statuses.map(s => s[key]).sort()[0]);
+  const latestError = statuses.filter(s => s.lastErrorAt).sort((a, b) => (a.lastErrorAt < b.lastErrorAt ? 1 : -1))[0];
+  return {
+    startedAt: oldest('startedAt'),
+    lastPollAt: oldest('lastPollAt'),
+    lastActivityAt: oldest('lastActivityAt'),
+    lastErrorAt: latestError ? latestError.lastErrorAt : null,
+    lastError: latestError ? latestError.lastError : null,
+    consecutiveErrors: Math.max(0, ...statuses.map(s => s.consecutiveErrors)),
+    inFlight: statuses.reduce((sum, s) => sum + s.inFlight, 0),
+    busy: statuses.some(s => s.busy)
+  };
+}
+
+// Polls the DLQ depth and calls onGrowth(previous, current) when it increases
+function watchDeadLetterQueue({ sqs, queueUrl, intervalMs = 60000, onGrowth }) {
+  let lastDepth = null;
+
+  async function check() {
+    try {
+      const { Attributes } = await sqs.getQueueAttributes({
+        QueueUrl: queueUrl,
+        AttributeNames: ['ApproximateNumberOfMessages']
+      }).promise();
+      const depth = Number(Attributes?.ApproximateNumberOfMessages || 0);
+      if (lastDepth !== null && depth > lastDepth) {
+        await onGrowth(lastDepth, depth);
+      }
+      lastDepth = depth;
+    } catch (err) {
+      log.error('Failed to check dead-letter queue depth', { err });
+    }
+  }
+
+  check();
+  return setInterval(check, intervalMs);
+}
+
+module.exports = { createSQSConsumer, combineStatus, watchDeadLetterQueue, appendQuarantine, queueName };
@@ -0,0 +1,141 @@
+// Event counters kept by the bot as it sees realtime and SQS events.
+//
+// Supabase has no deposit, PnL or order-status history, so those totals are
+// derived from what the bot observes. Counters are bucketed per UTC hour in
+// the state store (namespace "counters") and kept for eight days, which
+// covers both /stats and the daily and weekly reports.
+
+const HOUR_MS = 60 * 60 * 1000;
+const RETENTION_MS = 8 * 24 * HOUR_MS;
+const ERROR_MESSAGE_LENGTH = 80;
+
+function startOfUtcDay(date = new Date()) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function bucketKey(date) {
+  return date.toISOString().slice(0, 13); // YYYY-MM-DDTHH
+}
+
+function emptyCounters() {
+  return {
+    signups: 0,
+    deposits: 0,
+    depositTotal: 0,
+    volumeTotal: 0,
+    trades: { new: 0, executed: 0, failed: 0, skipped: 0 },
+    tradeErrors: {},
+    orders: {},
+    copyWallets: { added: 0, removed: 0, enabled: 0, disabled: 0 },
+    pnl: {} // userId -> { username, change }
+  };
+}
+
+function normalizeError(message) {
+  return String(message || 'Unknown error').trim().slice(0, ERROR_MESSAGE_LENGTH);
+}
+
+function mergeCounts(target, source) {
+  for (const [key, count] of Object.entries(source)) {
+    target[key] = (target[key] || 0) + count;
+  }
+}
+
+function createEventCounters({ store }) {
+  function update(mutator) {
+    const key = bucketKey(new Date());
+    const bucket = store.get('counters', key) || emptyCounters();
+    mutator(bucket);
+    store.set('counters', key, bucket, { ttlMs: RETENTION_MS });
+  }
+
+  function recordUsersUpdate(bucket, rowNew, rowOld) {
+    if ('amount_deposited' in rowOld) {
+      const deposit = Number(rowNew.amount_deposited || 0) - Number(rowOld.amount_deposited || 0);
+      if (deposit > 0.01) {
+        bucket.deposits += 1;
+        bucket.depositTotal += deposit;
+      }
+    }
+    if ('total_volume' in rowOld) {
+      const volume = Number(rowNew.total_volume || 0) - Number(rowOld.total_volume || 0);
+      if (volume > 0) bucket.volumeTotal += volume;
+    }
+    if ('total_pnl' in rowOld) {
+      const change = Number(rowNew.total_pnl || 0) - Number(rowOld.total_pnl || 0);
+      if (change !== 0) {
+        const entry = bucket.pnl[rowNew.id] || { username: rowNew.telegram_username, change: 0 };
+        entry.change += change;
+        bucket.pnl[rowNew.id] = entry;
+      }
+    }
+  }
+
+  function record(table, event, payload) {
+    const rowNew = payload.new || {};
+    const rowOld = payload.old || {};
+
+    update((bucket) => {
+      if (table === 'Users' && event === 'INSERT') {
+        bucket.signups += 1;
+      } else if (table === 'Users' && event === 'UPDATE') {
+        recordUsersUpdate(bucket, rowNew, rowOld);
+      } else if (table === 'Auto_Trade' && event === 'INSERT') {
+        bucket.trades.new += 1;
+      } else if (table === 'Auto_Trade' && event === 'UPDATE') {
+        const status = String(rowNew.status || '').toLowerCase();
+        const prevStatus = String(rowOld.status || '').toLowerCase();
+        if (status !== prevStatus && status in bucket.trades) {
+          bucket.trades[status] += 1;
+          if (status === 'failed' || status === 'skipped') {
+            mergeCounts(bucket.tradeErrors, { [normalizeError(rowNew.error_message)]: 1 });
+          }
+        }
+      } else if (table === 'Copy_Wallets' && event === 'INSERT') {
+        bucket.copyWallets.added += 1;
+      } else if (table === 'Copy_Wallets' && event === 'DELETE') {
+        bucket.copyWallets.removed += 1;
+      } else if (table === 'Copy_Wallets' && event === 'UPDATE' && 'is_enabled' in rowOld) {
+        if (Boolean(rowNew.is_enabled) !== Boolean(rowOld.is_enabled)) {
+          bucket.copyWallets[rowNew.is_enabled ? 'enabled' : 'disabled'] += 1;
+        }
+      }
+    });
+  }
+
+  // SQS order status updates
+  function recordOrder(order) {
+    update((bucket) => {
+      mergeCounts(bucket.orders, { [order.status]: 1 });
+    });
+  }
+
+  // Sum of all hourly buckets overlapping [since, until)
+  function aggregate(since, until = new Date()) {
+    const total = emptyCounters();
+    const from = bucketKey(since);
+    const to = bucketKey(until);
+
+    for (const [key, bucket] of store.entries('counters')) {
+      if (key < from || key > to) continue;
+      total.signups += bucket.signups;
+      total.deposits += bucket.deposits;
+      total.depositTotal += bucket.depositTotal;
+      total.volumeTotal += bucket.volumeTotal;
+      mergeCounts(total.trades, bucket.trades);
+      mergeCounts(total.tradeErrors, bucket.tradeErrors);
+      mergeCounts(total.orders, bucket.orders);
+      mergeCounts(total.copyWallets, bucket.copyWallets);
+      for (const [userId, entry] of Object.entries(bucket.pnl)) {
+        const merged = total.pnl[userId] || { username: entry.username, change: 0 };
+        merged.change += entry.change;
+        total.pnl[userId] = merged;
+      }
+    }
+    return total;
+  }
+
+  return { record, recordOrder, aggregate };
+}
+
+module.exports = { createEventCounters, startOfUtcDay, bucketKey, normalizeError, HOUR_MS };
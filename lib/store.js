@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+
+// Key/value state shared by dedup, milestone tracking and anything else that
+// should survive a restart. Values live in namespaces and may carry a TTL.
+// The interface is synchronous so it can sit behind the existing helpers;
+// the file backend keeps everything in memory and writes it out in the
+// background a few seconds after a change (and synchronously on flush(), at
+// shutdown). `limits` caps the entries of a namespace that grows with the
+// data, e.g. one per row seen: past the cap the least recently written entry
+// is dropped.
+
+function createMemoryStore({ limits = {} } = {}) {
+  const namespaces = new Map(); // namespace -> Map(key -> { value, expiresAt }), oldest write first
+  const warnedLimits = new Set();
+  let onChange = () => {};
+
+  function bucket(namespace) {
+    if (!namespaces.has(namespace)) namespaces.set(namespace, new Map());
+    return namespaces.get(namespace);
+  }
+
+  function isExpired(entry, now = Date.now()) {
+    return entry.expiresAt !== null && entry.expiresAt <= now;
+  }
+
+  function get(namespace, key) {
+    const entry = bucket(namespace).get(key);
+    if (!entry) return undefined;
+    if (isExpired(entry)) {
+      bucket(namespace).delete(key);
+      onChange();
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  function has(namespace, key) {
+    return get(namespace, key) !== undefined;
+  }
+
+  function set(namespace, key, value, { ttlMs } = {}) {
+    const entriesMap = bucket(namespace);
+    entriesMap.delete(key);
+    entriesMap.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    const limit = limits[namespace];
+    while (limit && entriesMap.size > limit) {
+      entriesMap.delete(entriesMap.keys().next().value);
+      if (!warnedLimits.has(namespace)) {
+        warnedLimits.add(namespace);
+        log.warn('State namespace is full, dropping its oldest entries', { namespace, limit });
+      }
+    }
+    onChange();
+  }
+
+  function del(namespace, key) {
+    const deleted = bucket(namespace).delete(key);
+    if (deleted) onChange();
+    return deleted;
+  }
+
+  function entries(namespace) {
+    const now = Date.now();
+    return [...bucket(namespace).entries()]
+      .filter(([, entry]) => !isExpired(entry, now))
+      .map(([key, entry]) => [key, entry.value]);
+  }
+
+  // Drop expired entries; called periodically
+  function prune() {
+    const now = Date.now();
+    let removed = 0;
+    for (const entriesMap of namespaces.values()) {
+      for (const [key, entry] of entriesMap) {
+        if (isExpired(entry, now)) {
+          entriesMap.delete(key);
+          removed += 1;
+        }
+      }
+    }
+    if (removed) onChange();
+    return removed;
+  }
+
+  function toJSON() {
+    const out = {};
+    for (const [namespace, entriesMap] of namespaces) {
+      out[namespace] = Object.fromEntries(entriesMap);
+    }
+    return out;
+  }
+
+  function load(snapshot) {
+    for (const [namespace, entriesObj] of Object.entries(snapshot || {})) {
+      namespaces.set(namespace, new Map(Object.entries(entriesObj)));
+    }
+    prune();
+  }
+
+  return {
+    get,
+    has,
+    set,
+    delete: del,
+    entries,
+    prune,
+    flush: () => {},
+    // Internal hooks for the file backend
+    _toJSON: toJSON,
+    _load: load,
+    _setOnChange: (fn) => { onChange = fn; }
+  };
+}
+
+function createFileStore(filePath, { flushDelayMs = 5000, limits } = {}) {
+  const store = createMemoryStore({ limits });
+  let flushTimer = null;
+  let writing = false;
+  let dirty = false;
+  let generation = 0; // bumped by every write, so a slower background write never replaces a newer file
+
+  if (fs.existsSync(filePath)) {
+    try {
+      store._load(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (err) {
+      log.error('Could not read state file, starting empty', { file: filePath, err });
+    }
+  }
+
+  // Temp file and rename so a crash never leaves half a file
+  function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    dirty = false;
+    const tmp = `${filePath}.${++generation}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify(store._toJSON()));
+    fs.renameSync(tmp, filePath);
+  }
+
+  async function writeInBackground() {
+    flushTimer = null;
+    writing = true;
+    dirty = false;
+    const mine = ++generation;
+    const tmp = `${filePath}.${mine}.tmp`;
+    try {
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tmp, JSON.stringify(store._toJSON()));
+      if (mine === generation) await fs.promises.rename(tmp, filePath);
+      else await fs.promises.unlink(tmp);
+    } catch (err) {
+      log.error('Failed to write state file', { file: filePath, err });
+    } finally {
+      writing = false;
+      if (dirty) scheduleWrite();
+    }
+  }
+
+  function scheduleWrite() {
+    if (writing) {
+      dirty = true;
+      return;
+    }
+    if (!flushTimer) flushTimer = setTimeout(writeInBackground, flushDelayMs);
+  }
+
+  store._setOnChange(scheduleWrite);
+
+  store.flush = flush;
+  return store;
+}
+
+// STATE_BACKEND=memory|file, STATE_FILE=path and STATE_FLUSH_MS (file backend only)
+function createStore({ backend = 'memory', file, flushDelayMs, limits } = {}) {
+  if (backend === 'file') {
+    if (!file) throw new Error('STATE_FILE is required for the file state backend');
+    return createFileStore(file, { flushDelayMs, limits });
+  }
+  if (backend !== 'memory') throw new Error(`Unknown state backend "${backend}"`);
+  return createMemoryStore({ limits });
+}
+
+module.exports = { createStore, createMemoryStore, createFileStore };
@@ -0,0 +1,83 @@
+// End users who get DMs about their own account.
+//
+// A user starts the bot in a private chat; the chat is linked to the Users
+// row whose telegram_username matches the sender's Telegram username (see
+// registerSubscriberCommands in commands.js). Links are kept in the state
+// store (namespace "subscribers"); a user links once and keeps getting DMs
+// across restarts.
+//
+// An alert is sent to the linked user when its template has a "dm_" twin in
+// config/templates.json (dm_trade_executed for trade_executed, ...) and the
+// user has the preference it belongs to switched on. The dm_ templates are
+// written for the user and leave out admin-only fields such as raw IDs.
+
+const PREFERENCES = {
+  trades: { label: 'Copy trades executed, failed or skipped', templates: ['trade_executed', 'trade_failed', 'trade_skipped'] },
+  orders: { label: 'Order status updates', templates: ['order_status', 'order_cancelled'] },
+  deposits: { label: 'Deposits', templates: ['deposit'] },
+  copy_wallets: {
+    label: 'Copy wallet changes',
+    templates: ['copy_wallet_added', 'copy_wallet_enabled', 'copy_wallet_disabled', 'copy_ratio_changed']
+  }
+};
+
+function preferenceFor(template) {
+  return Object.keys(PREFERENCES).find(name => PREFERENCES[name].templates.includes(template)) || null;
+}
+
+function createSubscribers({ store }) {
+  function get(userId) {
+    if (userId === null || userId === undefined) return undefined;
+    return store.get('subscribers', `user:${userId}`);
+  }
+
+  function forChat(chatId) {
+    const userId = store.get('subscribers', `chat:${chatId}`);
+    return userId === undefined ? undefined : { userId, ...get(userId) };
+  }
+
+  // Links a private chat to a Users row, replacing any earlier chat for that user
+  function link(userId, { chatId, username }) {
+    const previous = get(userId);
+    if (previous) store.delete('subscribers', `chat:${previous.chatId}`);
+    store.set('subscribers', `user:${userId}`, {
+      chatId: String(chatId),
+      username,
+      preferences: Object.fromEntries(Object.keys(PREFERENCES).map(name => [name, true])),
+      linkedAt: new Date().toISOString()
+    });
+    store.set('subscribers', `chat:${chatId}`, String(userId));
+  }
+
+  function unlink(chatId) {
+    const userId = store.get('subscribers', `chat:${chatId}`);
+    if (userId === undefined) return false;
+    store.delete('subscribers', `chat:${chatId}`);
+    store.delete('subscribers', `user:${userId}`);
+    return true;
+  }
+
+  function setPreference(userId, name, enabled) {
+    const subscriber = get(userId);
+    store.set('subscribers', `user:${userId}`, {
+      ...subscriber,
+      preferences: { ...subscriber.preferences, [name]: enabled }
+    });
+  }
+
+  // Chat ID and DM template for an alert about this user, or null
+  function target(userId, template) {
+    const subscriber = get(userId);
+    const preference = preferenceFor(template);
+    if (!subscriber || !preference || subscriber.preferences[preference] === false) return null;
+    return { chatId: subscriber.chatId, template: `dm_${template}` };
+  }
+
+  function count() {
+    return store.entries('subscribers').filter(([key]) => key.startsWith('user:')).length;
+  }
+
+  return { get, forChat, link, unlink, setPreference, target, count };
+}
+
+module.exports = { createSubscribers, PREFERENCES };
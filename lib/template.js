@@ -0,0 +1,218 @@
+// Message templating.
+//
+// Templates are written in a small subset of Telegram HTML (<b>, <i>, <u>,
+// <s>, <code>, <a href="...">) with {{placeholders}}. The same template can
+// be rendered to Telegram HTML, Telegram MarkdownV2, plain text, Slack mrkdwn
+// or Discord markdown; markup is translated for the target format and every
+// placeholder value is escaped for it automatically.
+//
+// Placeholders look like {{new.total_pnl}}. Alternatives can be chained with
+// || (first truthy value wins) and values can be piped through filters:
+// {{new.error_message | default:Unknown error}}. The "raw" filter inserts a
+// value without escaping, for text that is already in the target format.
+// Placeholders inside <a href="..."> are filled in too, so a link can point
+// at e.g. https://solscan.io/tx/{{new.tx_hash}}.
+
+const FORMATS = ['html', 'markdownv2', 'plain', 'slack', 'discord'];
+
+// Telegram parse_mode for each output format
+const PARSE_MODES = { html: 'HTML', markdownv2: 'MarkdownV2', plain: undefined };
+
+// Telegram can only display the first three
+const TELEGRAM_FORMATS = ['html', 'markdownv2', 'plain'];
+
+const MARKDOWN_TAGS = { b: '*', i: '_', u: '__', s: '~', code: '`' };
+const SLACK_TAGS = { b: '*', i: '_', u: '', s: '~', code: '`' };
+const DISCORD_TAGS = { b: '**', i: '*', u: '__', s: '~~', code: '`' };
+
+function escapeHtml(str) {
+  if (str === null || str === undefined) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function escapeMarkdown(str) {
+  return String(str ?? '').replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+}
+
+function escapeMarkdownCode(str) {
+  return String(str ?? '').replace(/[`\\]/g, '\\$&');
+}
+
+function escapeDiscord(str) {
+  return String(str ?? '').replace(/[\\*_~`|>#[\]()-]/g, '\\$&');
+}
+
+function decodeEntities(str) {
+  return str.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+function fmt(n) {
+  if (n === null || n === undefined) return '0';
+  if (typeof n === 'number') return n.toString();
+  return String(n);
+}
+
+const filters = {
+  // {{x | default:None}} - fallback for null, undefined and empty values
+  default: (value, args) => (value === null || value === undefined || value === '' ? args.join(':') : value),
+  // {{x | num}} - same formatting as fmt(): missing values render as 0
+  num: (value) => fmt(value),
+  // {{x | percent}} - ratio to percentage (0.25 -> 25)
+  percent: (value) => fmt(Number(value) * 100),
+  // {{x | signed}} - prefix positive numbers with +
+  signed: (value) => (Number(value) > 0 ? `+${fmt(value)}` : fmt(value)),
+  // {{x | locale}} - thousands separators
+  locale: (value) => Number(value).toLocaleString(),
+  // {{x | bool:Enabled:Disabled}}
+  bool: (value, args) => (value ? args[0] : args[1]),
+  // {{x | iso}} - Date or timestamp as an ISO string
+  iso: (value) => (value === null || value === undefined || value === '' ? '' : new Date(value).toISOString()),
+  // {{new | fields}} - every column as "name: value" lines, for full row context
+  fields: (value) => Object.entries(value || {})
+    .map(([key, item]) => `${key}: ${item !== null && typeof item === 'object' ? JSON.stringify(item) : item ?? ''}`)
+    .join('\n'),
+  lower: (value) => String(value ?? '').toLowerCase(),
+  upper: (value) => String(value ?? '').toUpperCase()
+};
+
+function resolvePath(context, path) {
+  return path.split('.').reduce((obj, key) => (obj === null || obj === undefined ? undefined : obj[key]), context);
+}
+
+const PLACEHOLDER_PATTERN = /\{\{([^}]+)\}\}/g;
+
+// Splits an expression into its alternatives and [name, ...args] filters
+function parseExpression(expression) {
+  // Split on single pipes only; || separates alternatives
+  const [valuePart, ...filterParts] = expression.split(/(?<!\|)\|(?!\|)/);
+  return {
+    alternatives: valuePart.split('||').map(alternative => alternative.trim()),
+    filters: filterParts.map(part => part.trim().split(':'))
+  };
+}
+
+// Throws on the first unknown filter, so a bad template fails when it is loaded
+// rather than when an alert first uses it
+function validateTemplate(template) {
+  for (const [, expression] of template.matchAll(PLACEHOLDER_PATTERN)) {
+    for (const [name] of parseExpression(expression).filters) {
+      if (name !== 'raw' && !filters[name]) throw new Error(`Unknown template filter "${name}" in {{${expression}}}`);
+    }
+  }
+}
+
+// Returns { value, raw } for one {{...}} expression
+function evaluateExpression(expression, context) {
+  const parsed = parseExpression(expression);
+
+  let value;
+  for (const alternative of parsed.alternatives) {
+    value = resolvePath(context, alternative);
+    if (value) break;
+  }
+
+  let raw = false;
+  for (const [name, ...args] of parsed.filters) {
+    if (name === 'raw') {
+      raw = true;
+      continue;
+    }
+    const filter = filters[name];
+    if (!filter) throw new Error(`Unknown template filter "${name}"`);
+    value = filter(value, args);
+  }
+
+  return { value: value === null || value === undefined ? '' : String(value), raw };
+}
+
+// How each output format writes markup and escapes text
+const FORMAT_SPECS = {
+  html: {
+    escape: escapeHtml,
+    tag: (tag, closing) => `<${closing}${tag}>`,
+    link: href => [`<a href="${escapeHtml(href).replace(/"/g, '&quot;')}">`, '</a>']
+  },
+  markdownv2: {
+    escape: (text, inCode) => (inCode ? escapeMarkdownCode(text) : escapeMarkdown(text)),
+    tag: tag => MARKDOWN_TAGS[tag],
+    link: href => ['[', `](${href.replace(/[)\\]/g, '\\$&')})`]
+  },
+  plain: {
+    escape: text => text,
+    tag: () => '',
+    link: href => ['', ` (${href})`]
+  },
+  // Slack mrkdwn only needs &, < and > escaped
+  slack: {
+    escape: escapeHtml,
+    tag: tag => SLACK_TAGS[tag],
+    link: href => [`<${href}|`, '>']
+  },
+  discord: {
+    escape: (text, inCode) => (inCode ? text.replace(/`/g, "'") : escapeDiscord(text)),
+    tag: tag => DISCORD_TAGS[tag],
+    link: href => ['[', `](<${href}>)`]
+  }
+};
+
+const TOKEN_PATTERN = /\{\{([^}]+)\}\}|<a href="([^"]*)">|<\/a>|<(\/?)(b|i|u|s|code)>/g;
+
+// A null context leaves {{placeholders}} as literal text (see convert)
+function renderMarkup(template, context, format) {
+  const spec = FORMAT_SPECS[format];
+  if (!spec) throw new Error(`Unknown message format "${format}"`);
+
+  let out = '';
+  let inCode = false;
+  let linkClose = '';
+  let last = 0;
+
+  // Template text is already HTML; other formats get it decoded and re-escaped
+  function literal(text) {
+    return format === 'html' ? text : spec.escape(decodeEntities(text), inCode);
+  }
+
+  for (const match of template.matchAll(TOKEN_PATTERN)) {
+    out += literal(template.slice(last, match.index));
+    last = match.index + match[0].length;
+    const [token, expression, href, closing, tag] = match;
+
+    if (expression !== undefined) {
+      if (context === null) {
+        out += literal(token);
+        continue;
+      }
+      const result = evaluateExpression(expression, context);
+      out += result.raw ? result.value : spec.escape(result.value, inCode);
+    } else if (href !== undefined) {
+      const url = context === null
+        ? decodeEntities(href)
+        : decodeEntities(href).replace(PLACEHOLDER_PATTERN, (_, inner) => evaluateExpression(inner, context).value);
+      const [open, close] = spec.link(url);
+      out += open;
+      linkClose = close;
+    } else if (token === '</a>') {
+      out += linkClose;
+      linkClose = '';
+    } else {
+      if (tag === 'code') inCode = !closing;
+      out += spec.tag(tag, closing);
+    }
+  }
+  out += literal(template.slice(last));
+  return out;
+}
+
+function render(template, context, format = 'html') {
+  return renderMarkup(template, context || {}, format);
+}
+
+// Translates already rendered HTML (e.g. a report) into another format
+function convert(html, format) {
+  return renderMarkup(html, null, format);
+}
+
+module.exports = { render, convert, validateTemplate, escapeHtml, escapeMarkdown, fmt, filters, FORMATS, TELEGRAM_FORMATS, PARSE_MODES };
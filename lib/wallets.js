@@ -0,0 +1,224 @@
+// Watched-wallet performance.
+//
+// Followers come from Copy_Wallets: each enabled row is one user copying one
+// wallet_address, kept in the state store (namespace "wallet_followers") by
+// row ID and seeded from Supabase at startup, so follower counts and average
+// percent_ratio cover rows the bot never saw change. Trade figures come from
+// Auto_Trade events for the row's watched_wallet, bucketed per UTC hour
+// (namespace "wallet_stats") like the event counters in stats.js: trades
+// mirrored (INSERTs), outcomes (status changes into executed, failed or
+// skipped) and slippage between original_price and copied_price on executed
+// trades. Slippage is signed so that positive is worse for the copier:
+// paying more on a BUY, receiving less on a SELL.
+//
+// checkDegradation() compares the last `recentMs` with the `baselineMs`
+// before it for wallets with at least `minFollowers` enabled followers, and
+// reports a wallet once per `cooldownMs` when its success rate fell by
+// `successDrop` or its average slippage rose by `slippageIncrease`.
+
+const { bucketKey, HOUR_MS } = require('./stats');
+
+const DAY_MS = 24 * HOUR_MS;
+const OUTCOME_STATUSES = ['executed', 'failed', 'skipped'];
+
+function normalizeWallet(wallet) {
+  return wallet ? String(wallet).toLowerCase() : null;
+}
+
+function emptyWalletStats() {
+  return { mirrored: 0, executed: 0, failed: 0, skipped: 0, slippageSum: 0, slippageCount: 0 };
+}
+
+// Relative slippage of an executed copy, positive when the copier got the worse price
+function slippageOf(row) {
+  const original = Number(row.original_price);
+  const copied = Number(row.copied_price);
+  if (!(original > 0) || !(copied > 0)) return null;
+  const change = (copied - original) / original;
+  return String(row.side || '').toUpperCase() === 'SELL' ? -change : change;
+}
+
+// Success rate and average slippage of aggregated stats
+function summarize(stats) {
+  const outcomes = stats.executed + stats.failed + stats.skipped;
+  const successRate = outcomes ? stats.executed / outcomes : null;
+  const avgSlippage = stats.slippageCount ? stats.slippageSum / stats.slippageCount : null;
+  return {
+    ...stats,
+    outcomes,
+    successRate,
+    avgSlippage,
+    successPercent: successRate === null ? null : Math.round(successRate * 100),
+    slippagePercent: avgSlippage === null ? null : Math.round(avgSlippage * 10000) / 100
+  };
+}
+
+function createWalletTracker({
+  store,
+  minFollowers = 3,
+  minTrades = 10,
+  successDrop = 0.2,
+  slippageIncrease = 0.02,
+  recentMs = DAY_MS,
+  baselineMs = 7 * DAY_MS,
+  cooldownMs = DAY_MS
+}) {
+  const retentionMs = recentMs + baselineMs + HOUR_MS;
+
+  // Disabled rows are dropped rather than kept, so the namespace only grows with active copiers
+  function setFollower(row) {
+    const wallet = normalizeWallet(row.wallet_address);
+    if (row.id === undefined || row.id === null) return;
+    if (!wallet || row.is_enabled === false) {
+      store.delete('wallet_followers', String(row.id));
+      return;
+    }
+    store.set('wallet_followers', String(row.id), {
+      wallet,
+      userId: row.user_id,
+      ratio: Number(row.percent_ratio || 0),
+      enabled: true
+    });
+  }
+
+  // Replaces the followers with the current Copy_Wallets rows
+  function seedFollowers(rows) {
+    for (const [id] of store.entries('wallet_followers')) store.delete('wallet_followers', id);
+    rows.forEach(setFollower);
+  }
+
+  // Enabled followers and their average percent_ratio per wallet
+  function followers() {
+    const byWallet = {};
+    for (const [, follower] of store.entries('wallet_followers')) {
+      if (!follower.enabled) continue;
+      const entry = byWallet[follower.wallet] || (byWallet[follower.wallet] = { followers: 0, ratioSum: 0 });
+      entry.followers += 1;
+      entry.ratioSum += follower.ratio;
+    }
+    return Object.fromEntries(Object.entries(byWallet).map(([wallet, { followers: count, ratioSum }]) => (
+      [wallet, { followers: count, avgRatio: Math.round((ratioSum / count) * 10000) / 10000 }]
+    )));
+  }
+
+  function updateBucket(wallet, now, mutator) {
+    const key = bucketKey(now);
+    const bucket = store.get('wallet_stats', key) || {};
+    bucket[wallet] = bucket[wallet] || emptyWalletStats();
+    mutator(bucket[wallet]);
+    store.set('wallet_stats', key, bucket, { ttlMs: retentionMs });
+  }
+
+  function recordTrade(event, rowNew, rowOld, now) {
+    const wallet = normalizeWallet(rowNew.watched_wallet);
+    if (!wallet) return;
+    if (event === 'INSERT') {
+      updateBucket(wallet, now, stats => { stats.mirrored += 1; });
+      return;
+    }
+    const status = String(rowNew.status || '').toLowerCase();
+    if (!OUTCOME_STATUSES.includes(status) || status === String(rowOld.status || '').toLowerCase()) return;
+    const slippage = status === 'executed' ? slippageOf(rowNew) : null;
+    updateBucket(wallet, now, stats => {
+      stats[status] += 1;
+      if (slippage !== null) {
+        stats.slippageSum += slippage;
+        stats.slippageCount += 1;
+      }
+    });
+  }
+
+  // Feeds an Auto_Trade or Copy_Wallets postgres_changes payload
+  function record(table, event, payload, now = new Date()) {
+    const rowNew = payload.new || {};
+    const rowOld = payload.old || {};
+    if (table === 'Auto_Trade' && (event === 'INSERT' || event === 'UPDATE')) {
+      recordTrade(event, rowNew, rowOld, now);
+    } else if (table === 'Copy_Wallets' && event === 'DELETE') {
+      if (rowOld.id !== undefined) store.delete('wallet_followers', String(rowOld.id));
+    } else if (table === 'Copy_Wallets') {
+      setFollower(rowNew);
+    }
+  }
+
+  // Summed stats per wallet over the hourly buckets from `since` up to and including `until`
+  function aggregate(since, until = new Date()) {
+    const from = bucketKey(since);
+    const to = bucketKey(until);
+    const totals = {};
+    for (const [key, bucket] of store.entries('wallet_stats')) {
+      if (key < from || key > to) continue;
+      for (const [wallet, stats] of Object.entries(bucket)) {
+        const total = totals[wallet] || (totals[wallet] = emptyWalletStats());
+        for (const field of Object.keys(total)) total[field] += stats[field] || 0;
+      }
+    }
+    return totals;
+  }
+
+  // Wallets by follower count, then trades mirrored over the period
+  function leaderboard(since, until = new Date(), limit = 10) {
+    const followed = followers();
+    const traded = aggregate(since, until);
+    return [...new Set([...Object.keys(followed), ...Object.keys(traded)])]
+      .map(wallet => ({
+        wallet,
+        followers: 0,
+        avgRatio: null,
+        ...followed[wallet],
+        ...summarize(traded[wallet] || emptyWalletStats())
+      }))
+      .sort((a, b) => b.followers - a.followers || b.mirrored - a.mirrored)
+      .slice(0, limit);
+  }
+
+  // Popular wallets whose recent success rate or slippage got worse than their baseline;
+  // returns [{ kind: 'success' | 'slippage', wallet, followers, avgRatio, recent, baseline }]
+  function checkDegradation(now = new Date()) {
+    const recentSince = new Date(now.getTime() - recentMs);
+    const recent = aggregate(recentSince, now);
+    const baseline = aggregate(new Date(recentSince.getTime() - baselineMs), new Date(recentSince.getTime() - HOUR_MS));
+    const changes = [];
+
+    for (const [wallet, { followers: count, avgRatio }] of Object.entries(followers())) {
+      if (count < minFollowers || !recent[wallet] || !baseline[wallet]) continue;
+      const current = summarize(recent[wallet]);
+      const before = summarize(baseline[wallet]);
+
+      const kinds = [];
+      if (current.outcomes >= minTrades && before.outcomes >= minTrades &&
+          before.successRate - current.successRate >= successDrop) {
+        kinds.push('success');
+      }
+      if (current.slippageCount >= minTrades && before.slippageCount >= minTrades &&
+          current.avgSlippage - before.avgSlippage >= slippageIncrease) {
+        kinds.push('slippage');
+      }
+
+      for (const kind of kinds) {
+        const key = `${wallet}:${kind}`;
+        if (store.has('wallet_alerts', key)) continue;
+        store.set('wallet_alerts', key, now.toISOString(), { ttlMs: cooldownMs });
+        changes.push({
+          kind,
+          wallet,
+          followers: count,
+          avgRatio,
+          recent: current,
+          baseline: before,
+          recentHours: Math.round(recentMs / HOUR_MS),
+          baselineDays: Math.round(baselineMs / DAY_MS)
+        });
+      }
+    }
+    return changes;
+  }
+
+  function followedCount() {
+    return Object.keys(followers()).length;
+  }
+
+  return { record, seedFollowers, followers, aggregate, leaderboard, checkDegradation, followedCount };
+}
+
+module.exports = { createWalletTracker, slippageOf };
@@ -0,0 +1,149 @@
+const fs = require('fs');
+
+// Watchlist of VIP users and wallets, and whale-size thresholds.
+//
+// config/watchlist.json:
+//   {
+//     "users": ["123"],
+//     "wallets": ["0xabc..."],
+//     "whales": { "deposit": 10000, "orderAmount": 10000, "tradeSize": 10000 },
+//     "onCall": ["@alice", "@bob"]
+//   }
+//
+// Users and wallets can also be added with /watch; those entries live in the
+// state store next to the file-based ones and outlast a redeploy. A row is
+// watched when its user ID (Users.id or user_id) or any of its wallet
+// columns is on either list. Rules marked "watchlist": true only fire for
+// watched rows and "watchlist": false only for everyone else.
+//
+// Whale checks escalate a single deposit, Auto_Trade original_size or SQS
+// order amount at or above its threshold, mentioning the on-call admins.
+
+const WALLET_PATTERN = /^0x[0-9a-f]{40}$/i;
+const WALLET_FIELDS = ['wallet_address', 'watched_wallet'];
+const WHALE_KINDS = ['deposit', 'orderAmount', 'tradeSize'];
+
+// User ID and wallets a database row belongs to
+function rowOwner(table, row) {
+  if (!row) return { userId: undefined, wallets: [] };
+  return {
+    userId: table === 'Users' ? row.id : row.user_id,
+    wallets: WALLET_FIELDS.map(field => row[field]).filter(Boolean)
+  };
+}
+
+function validateWatchlist(raw, source = 'watchlist config') {
+  const users = raw.users || [];
+  const wallets = raw.wallets || [];
+  if (!Array.isArray(users) || !Array.isArray(wallets)) {
+    throw new Error(`${source}: "users" and "wallets" must be arrays`);
+  }
+  for (const wallet of wallets) {
+    if (!WALLET_PATTERN.test(wallet)) throw new Error(`${source}: "${wallet}" is not a wallet address`);
+  }
+
+  const whales = {};
+  for (const [kind, value] of Object.entries(raw.whales || {})) {
+    if (!WHALE_KINDS.includes(kind)) {
+      throw new Error(`${source}: unknown whale threshold "${kind}", expected one of ${WHALE_KINDS.join(', ')}`);
+    }
+    if (!(Number(value) > 0)) throw new Error(`${source}: whale threshold "${kind}" must be a positive number`);
+    whales[kind] = Number(value);
+  }
+
+  return {
+    users: users.map(String),
+    wallets: wallets.map(wallet => wallet.toLowerCase()),
+    whales,
+    onCall: (raw.onCall || []).map(String)
+  };
+}
+
+function loadWatchlist(filePath) {
+  return validateWatchlist(JSON.parse(fs.readFileSync(filePath, 'utf8')), filePath);
+}
+
+function createWatchlist({ config = validateWatchlist({}), store }) {
+  let active = config;
+
+  function normalize(entry) {
+    const value = String(entry).trim();
+    return WALLET_PATTERN.test(value)
+      ? { kind: 'wallet', value: value.toLowerCase() }
+      : { kind: 'user', value };
+  }
+
+  function hasUser(userId) {
+    if (userId === null || userId === undefined) return false;
+    const id = String(userId);
+    return active.users.includes(id) || store.has('watchlist', `user:${id}`);
+  }
+
+  function hasWallet(wallet) {
+    if (!wallet) return false;
+    const address = String(wallet).toLowerCase();
+    return active.wallets.includes(address) || store.has('watchlist', `wallet:${address}`);
+  }
+
+  // Whether a database row belongs to a watched user or wallet
+  function isWatched(table, row) {
+    const { userId, wallets } = rowOwner(table, row);
+    return hasUser(userId) || wallets.some(hasWallet);
+  }
+
+  // Adds a user ID or wallet from /watch; returns false when already watched
+  function add(entry) {
+    const { kind, value } = normalize(entry);
+    if (kind === 'wallet' ? hasWallet(value) : hasUser(value)) return false;
+    store.set('watchlist', `${kind}:${value}`, Date.now());
+    return true;
+  }
+
+  // Only entries added with /watch can be removed; config entries stay
+  function remove(entry) {
+    const { kind, value } = normalize(entry);
+    return store.delete('watchlist', `${kind}:${value}`);
+  }
+
+  function list() {
+    const added = store.entries('watchlist').map(([key]) => key);
+    return {
+      users: [...active.users, ...added.filter(key => key.startsWith('user:')).map(key => key.slice(5))],
+      wallets: [...active.wallets, ...added.filter(key => key.startsWith('wallet:')).map(key => key.slice(7))],
+      fromConfig: active.users.length + active.wallets.length
+    };
+  }
+
+  function mentions() {
+    return active.onCall.join(' ');
+  }
+
+  // { kind, amount, threshold } when a database event is whale sized, else null
+  function whaleForEvent(table, event, payload) {
+    const row = payload.new || {};
+    if (table === 'Users' && event === 'UPDATE' && active.whales.deposit) {
+      if (!payload.old || !('amount_deposited' in payload.old)) return null;
+      const amount = Number(row.amount_deposited || 0) - Number(payload.old.amount_deposited || 0);
+      return amount >= active.whales.deposit ? { kind: 'deposit', amount, threshold: active.whales.deposit } : null;
+    }
+    if (table === 'Auto_Trade' && event === 'INSERT' && active.whales.tradeSize) {
+      const amount = Number(row.original_size || 0);
+      return amount >= active.whales.tradeSize ? { kind: 'tradeSize', amount, threshold: active.whales.tradeSize } : null;
+    }
+    return null;
+  }
+
+  function whaleForOrder(order) {
+    const amount = Number(order.amount || 0);
+    if (!active.whales.orderAmount || amount < active.whales.orderAmount) return null;
+    return { kind: 'orderAmount', amount, threshold: active.whales.orderAmount };
+  }
+
+  function setConfig(next) {
+    active = next;
+  }
+
+  return { isWatched, hasUser, add, remove, list, mentions, whaleForEvent, whaleForOrder, setConfig };
+}
+
+module.exports = { loadWatchlist, validateWatchlist, createWatchlist, rowOwner, WALLET_PATTERN };
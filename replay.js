@@ -0,0 +1,72 @@
+// Replays recorded realtime payloads and SQS bodies through the bot's real
+// handlers, printing every alert that would have been sent as JSONL. Needs no
+// Supabase, AWS or Telegram credentials.
+//
+//   node replay.js fixtures.jsonl [--expect expected.jsonl] [--format plain]
+//
+// With --expect, each line of the expected file is compared field by field
+// with the captured alert at the same position (e.g. {"ruleId":"deposit"})
+// and the exit code is 1 on any difference. `npm test` replays the fixtures
+// in test/fixtures this way.
+
+require('dotenv').config();
+const fs = require('fs');
+const { loadConfig, createApp } = require('./bot');
+const { configureLogger, log } = require('./lib/logger');
+const { FORMATS } = require('./lib/template');
+const { readFixtures, createCaptureSink, replayFixtures, describeCapture, compareCaptures } = require('./lib/replay');
+
+function parseArgs(argv) {
+  const args = { files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--expect') args.expect = argv[++i];
+    else if (argv[i] === '--format') args.format = argv[++i];
+    else args.files.push(argv[i]);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.files.length !== 1) {
+    console.error('Usage: node replay.js <fixtures.jsonl> [--expect expected.jsonl] [--format html|markdownv2|plain|slack|discord]');
+    process.exit(2);
+  }
+  if (args.format && !FORMATS.includes(args.format)) {
+    console.error(`Unknown format "${args.format}", expected one of ${FORMATS.join(', ')}`);
+    process.exit(2);
+  }
+
+  // Routes expand "$CHAT_ID" from the environment, so give it a placeholder.
+  // State stays in memory so a replay never touches the live state file.
+  process.env.CHAT_ID = process.env.CHAT_ID || 'replay';
+  const config = loadConfig({ LOG_LEVEL: 'warn', ...process.env, STATE_BACKEND: 'memory' });
+  configureLogger({ level: config.LOG_LEVEL, format: config.LOG_FORMAT, redact: config.LOG_REDACT });
+
+  const sink = createCaptureSink();
+  const app = createApp({ config, sink });
+  const summary = await replayFixtures({ app, sink, fixtures: readFixtures(args.files[0]) });
+
+  const captured = sink.captured.map(capture => describeCapture(capture, app.renderer, args.format));
+  for (const entry of captured) process.stdout.write(JSON.stringify(entry) + '\n');
+  log.info('Replay finished', summary);
+
+  if (args.expect) {
+    const expected = readExpectations(args.expect);
+    const problems = compareCaptures(captured, expected);
+    if (problems.length) {
+      problems.forEach(problem => console.error(problem));
+      process.exit(1);
+    }
+    console.error(`All ${expected.length} expected alert(s) matched`);
+  }
+}
+
+function readExpectations(file) {
+  return fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+main().catch(err => {
+  console.error(err?.stack || err);
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+// /start routing against a fake bot: admin chats get the command list,
+// private chats are linked as subscribers, and each /start is answered once.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { registerAdminCommands, registerSubscriberCommands, registerStartCommand } = require('../lib/commands');
+const { configureLogger } = require('../lib/logger');
+
+configureLogger({ level: 'error' });
+
+const ADMIN_CHAT = '-100';
+
+function fakeBot() {
+  const listeners = [];
+  const sent = [];
+  return {
+    sent,
+    onText: (regex, handler) => listeners.push({ regex, handler }),
+    on: () => {},
+    sendMessage: async (chatId, text) => { sent.push({ chatId: String(chatId), text }); },
+    // Runs every listener whose pattern matches, like node-telegram-bot-api
+    receive: async (chat, text, from = {}) => {
+      const msg = { chat, from, text };
+      for (const { regex, handler } of listeners) {
+        const match = regex.exec(text);
+        if (match) await handler(msg, match);
+      }
+    }
+  };
+}
+
+function fakeSupabase(users) {
+  const query = {
+    select: () => query,
+    ilike: () => query,
+    limit: async () => ({ data: users })
+  };
+  return { from: () => query };
+}
+
+function fakeSubscribers() {
+  const links = new Map();
+  return {
+    forChat: chatId => links.get(String(chatId)),
+    link: (userId, { chatId, username }) => links.set(String(chatId), { userId, username }),
+    count: () => links.size
+  };
+}
+
+function setup({ subscribersEnabled = true } = {}) {
+  const bot = fakeBot();
+  const subscribers = fakeSubscribers();
+  registerAdminCommands({ bot, supabase: {}, adminChatIds: [ADMIN_CHAT] });
+  const { start } = subscribersEnabled
+    ? registerSubscriberCommands({ bot, supabase: fakeSupabase([{ id: 7 }]), subscribers, adminChatIds: [ADMIN_CHAT] })
+    : {};
+  registerStartCommand({ bot, adminChatIds: [ADMIN_CHAT], subscriberStart: start });
+  return { bot, subscribers };
+}
+
+test('an admin chat gets the command list once', async () => {
+  const { bot } = setup();
+  await bot.receive({ id: ADMIN_CHAT, type: 'supergroup' }, '/start');
+  assert.equal(bot.sent.length, 1);
+  assert.match(bot.sent[0].text, /Admin commands/);
+});
+
+test('a private chat is linked as a subscriber once', async () => {
+  const { bot, subscribers } = setup();
+  await bot.receive({ id: 42, type: 'private' }, '/start@NotifBot', { username: 'bob' });
+  assert.equal(bot.sent.length, 1);
+  assert.match(bot.sent[0].text, /You will now get updates/);
+  assert.deepEqual(subscribers.forChat(42), { userId: 7, username: 'bob' });
+});
+
+test('other chats get no answer, and private chats none without subscriber mode', async () => {
+  const { bot } = setup({ subscribersEnabled: false });
+  await bot.receive({ id: 42, type: 'private' }, '/start', { username: 'bob' });
+  await bot.receive({ id: -5, type: 'group' }, '/start');
+  assert.deepEqual(bot.sent, []);
+});
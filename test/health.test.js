@@ -0,0 +1,58 @@
+// Liveness and readiness from realtime and SQS status: the realtime grace
+// period runs from the last subscription and a saturated consumer stays live.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateHealth } = require('../lib/health');
+
+const NOW = Date.parse('2024-01-05T12:00:00Z');
+const MINUTE_MS = 60 * 1000;
+
+const ago = ms => new Date(NOW - ms).toISOString();
+
+function health({ realtime = {}, sqs = {} } = {}) {
+  return evaluateHealth({
+    realtime: { status: 'SUBSCRIBED', since: ago(60 * MINUTE_MS), startedAt: ago(60 * MINUTE_MS), lastSubscribedAt: ago(0), ...realtime },
+    sqs: { startedAt: ago(60 * MINUTE_MS), lastPollAt: ago(1000), lastActivityAt: ago(1000), inFlight: 0, busy: false, ...sqs },
+    lastTelegramSendAt: null,
+    realtimeGraceMs: 5 * MINUTE_MS,
+    sqsStaleMs: 2 * MINUTE_MS,
+    now: NOW
+  });
+}
+
+test('is live and ready while subscribed and polling', () => {
+  const report = health();
+  assert.equal(report.live, true);
+  assert.equal(report.ready, true);
+});
+
+test('the realtime grace period runs from the last subscription, not the last status change', () => {
+  // Flapping between CLOSED and CHANNEL_ERROR keeps `since` fresh
+  const flapping = health({ realtime: { status: 'CLOSED', since: ago(1000), lastSubscribedAt: ago(10 * MINUTE_MS) } });
+  assert.equal(flapping.live, false);
+  assert.equal(flapping.ready, false);
+
+  const recent = health({ realtime: { status: 'CLOSED', since: ago(1000), lastSubscribedAt: ago(MINUTE_MS) } });
+  assert.equal(recent.live, true);
+  assert.equal(recent.ready, false);
+});
+
+test('before the first subscription the grace period runs from startup', () => {
+  assert.equal(health({ realtime: { status: 'CONNECTING', startedAt: ago(MINUTE_MS), lastSubscribedAt: null } }).live, true);
+  assert.equal(health({ realtime: { status: 'CHANNEL_ERROR', startedAt: ago(10 * MINUTE_MS), lastSubscribedAt: null } }).live, false);
+});
+
+test('a consumer with every slot busy stays live while it finishes messages', () => {
+  const busy = health({ sqs: { lastPollAt: ago(10 * MINUTE_MS), lastActivityAt: ago(1000), inFlight: 10, busy: true } });
+  assert.equal(busy.live, true);
+
+  const stuck = health({ sqs: { lastPollAt: ago(10 * MINUTE_MS), lastActivityAt: ago(10 * MINUTE_MS), inFlight: 10, busy: true } });
+  assert.equal(stuck.live, false);
+});
+
+test('before the first poll SQS staleness runs from startup', () => {
+  assert.equal(health({ sqs: { startedAt: ago(1000), lastPollAt: null, lastActivityAt: null } }).live, true);
+  assert.equal(health({ sqs: { startedAt: ago(1000), lastPollAt: null, lastActivityAt: null } }).ready, false);
+  assert.equal(health({ sqs: { startedAt: ago(10 * MINUTE_MS), lastPollAt: null, lastActivityAt: null } }).live, false);
+});
@@ -0,0 +1,80 @@
+// Copy-trade failure incidents: opening on the failure rate, suppressing the
+// failures they cover and resolving on recovery or once the window empties.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTradeIncidentMonitor, errorSignature } = require('../lib/incidents');
+
+const WINDOW_MS = 60 * 1000;
+const PENDING = { status: 'pending' };
+
+function trade(status, extra = {}) {
+  return { status, watched_wallet: `0xWallet${extra.wallet || 1}`, market_title: 'BTC above 100k', ...extra };
+}
+
+function monitor() {
+  return createTradeIncidentMonitor({ windowMs: WINDOW_MS, minEvents: 4, openRate: 0.5, resolveRate: 0.2 });
+}
+
+test('errors differing only in numbers and hashes share a signature', () => {
+  assert.equal(
+    errorSignature('Order 0xabc123 timed out after 3000 ms'),
+    errorSignature('Order 0xdef456 timed out after 12 ms')
+  );
+});
+
+test('opens one incident for the error behind a burst of failures and suppresses what it covers', () => {
+  const incidents = monitor();
+  const changes = [];
+  for (let i = 0; i < 4; i += 1) {
+    const row = trade('failed', { wallet: i, error_message: `RPC timeout after ${i + 1}s` });
+    changes.push(...incidents.record(row, PENDING, i * 1000));
+  }
+
+  assert.equal(changes.length, 1);
+  const [{ type, incident }] = changes;
+  assert.equal(type, 'opened');
+  assert.equal(incident.dimension, 'error');
+  assert.equal(incident.value, errorSignature('RPC timeout after 1s'));
+  assert.equal(incident.ratePercent, 100);
+
+  assert.equal(incidents.suppress(trade('failed', { error_message: 'RPC timeout after 9s' })), incident.key);
+  assert.equal(incidents.suppress(trade('failed', { error_message: 'Insufficient balance' })), null);
+  assert.equal(incidents.suppress(trade('executed')), null);
+  assert.equal(incidents.open()[0].suppressed, 1);
+});
+
+test('ignores rows whose status did not change and stays closed below minEvents', () => {
+  const incidents = monitor();
+  assert.deepEqual(incidents.record(trade('failed'), { status: 'failed' }, 0), []);
+  for (let i = 0; i < 3; i += 1) incidents.record(trade('failed', { error_message: 'boom' }), PENDING, i);
+  assert.deepEqual(incidents.open(), []);
+});
+
+test('resolves once the failure rate falls to resolveRate', () => {
+  const incidents = monitor();
+  for (let i = 0; i < 4; i += 1) incidents.record(trade('failed', { error_message: 'boom' }), PENDING, i);
+  assert.equal(incidents.open().length, 1);
+
+  // 4 failures need 16 successes to get down to 20%
+  let resolved = [];
+  for (let i = 0; i < 16 && !resolved.length; i += 1) {
+    resolved = incidents.record(trade('executed'), PENDING, 10 + i).filter(change => change.type === 'resolved');
+    if (i < 15) assert.deepEqual(resolved, []);
+  }
+  assert.equal(resolved.length, 1);
+  assert.equal(resolved[0].incident.ratePercent, 20);
+  assert.equal(resolved[0].incident.peakPercent, 100);
+  assert.deepEqual(incidents.open(), []);
+});
+
+test('resolves when its failures leave the window', () => {
+  const incidents = monitor();
+  for (let i = 0; i < 4; i += 1) incidents.record(trade('failed', { error_message: 'boom' }), PENDING, i);
+
+  assert.deepEqual(incidents.check(WINDOW_MS - 1), []);
+  const [change] = incidents.check(3 * WINDOW_MS);
+  assert.equal(change.type, 'resolved');
+  assert.equal(change.incident.durationMinutes, 3);
+  assert.deepEqual(incidents.open(), []);
+});
@@ -0,0 +1,58 @@
+// Message templates: unknown filters are rejected when the defaults or a
+// TEMPLATES_DIR override are loaded, and link placeholders are filled in.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadMessageTemplates } = require('../lib/messages');
+const { render } = require('../lib/template');
+
+const DEFAULTS_FILE = path.join(__dirname, '..', 'config', 'templates.json');
+
+function overridesDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+  for (const [name, content] of Object.entries(files)) fs.writeFileSync(path.join(dir, name), content);
+  return dir;
+}
+
+test('the default templates load', () => {
+  const templates = loadMessageTemplates({ defaultsFile: DEFAULTS_FILE });
+  assert.ok(Object.keys(templates).length > 0);
+});
+
+test('an override with an unknown filter fails the load', () => {
+  const dir = overridesDir({ 'deposit.tmpl': 'Deposit {{new.amount | default:x | y}}' });
+  try {
+    assert.throws(
+      () => loadMessageTemplates({ defaultsFile: DEFAULTS_FILE, overridesDir: dir }),
+      /deposit\.tmpl: Unknown template filter "y"/
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('valid overrides replace the text and summary', () => {
+  const dir = overridesDir({
+    'deposit.tmpl': 'Deposit {{new.amount | num}}',
+    'deposit.summary.tmpl': '{{new.amount | raw}}\n'
+  });
+  try {
+    const templates = loadMessageTemplates({ defaultsFile: DEFAULTS_FILE, overridesDir: dir });
+    assert.equal(templates.deposit.text, 'Deposit {{new.amount | num}}');
+    assert.equal(templates.deposit.summary, '{{new.amount | raw}}');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('placeholders inside link targets are filled in for every format', () => {
+  const template = '<a href="https://solscan.io/tx/{{new.tx_hash}}">{{new.tx_hash}}</a>';
+  const context = { new: { tx_hash: 'abc_1' } };
+  assert.equal(render(template, context, 'html'), '<a href="https://solscan.io/tx/abc_1">abc_1</a>');
+  assert.equal(render(template, context, 'plain'), 'abc_1 (https://solscan.io/tx/abc_1)');
+  assert.equal(render(template, context, 'slack'), '<https://solscan.io/tx/abc_1|abc_1>');
+  assert.equal(render(template, context, 'markdownv2'), '[abc\\_1](https://solscan.io/tx/abc_1)');
+});
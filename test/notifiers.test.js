@@ -0,0 +1,130 @@
+// Slack and signed webhook backends against a local stub HTTP server, and
+// threaded Telegram sends against a fake bot.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const { createSlackNotifier, createWebhookNotifier, createMessageThreads, sendTelegram, signPayload } = require('../lib/notifiers');
+const { loadMessageTemplates, createMessageRenderer } = require('../lib/messages');
+const { createStore } = require('../lib/store');
+
+const renderer = createMessageRenderer({
+  templates: loadMessageTemplates({ defaultsFile: path.join(__dirname, '..', 'config', 'templates.json') })
+});
+
+const alert = {
+  id: 'evt-1',
+  source: 'supabase',
+  category: 'deposit',
+  severity: 'warning',
+  ruleId: 'deposit',
+  table: 'Users',
+  event: 'UPDATE',
+  template: 'deposit',
+  context: { new: { id: 7, telegram_username: 'bob', amount_deposited: 50 }, old: {}, delta: 50, value: 50 }
+};
+
+let server;
+let baseUrl;
+const requests = [];
+const replies = []; // status codes to answer with, 200 once empty
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body });
+      res.writeHead(replies.shift() || 200);
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('slack posts the rendered text with a severity attachment', async () => {
+  requests.length = 0;
+  await createSlackNotifier({ renderer }).send(alert, { url: `${baseUrl}/slack` });
+
+  assert.equal(requests.length, 1);
+  const body = JSON.parse(requests[0].body);
+  assert.match(body.text, /\*Deposit detected\*/);
+  assert.match(body.text, /\+50/);
+  assert.equal(body.attachments[0].text, 'deposit · warning');
+  assert.equal(body.attachments[0].color, '#f2c744');
+});
+
+test('slack retries a 5xx and then succeeds', async () => {
+  requests.length = 0;
+  replies.push(503);
+  await createSlackNotifier({ renderer }).send(alert, { url: `${baseUrl}/slack` });
+  assert.equal(requests.length, 2);
+});
+
+test('webhook posts the alert as JSON signed over timestamp and body', async () => {
+  requests.length = 0;
+  await createWebhookNotifier({ renderer }).send(alert, { url: `${baseUrl}/hook`, secret: 's3cret' });
+
+  assert.equal(requests.length, 1);
+  const { headers, body } = requests[0];
+  const timestamp = headers['x-alert-timestamp'];
+  assert.equal(headers['x-alert-signature'], `sha256=${signPayload('s3cret', timestamp, body)}`);
+  assert.notEqual(headers['x-alert-signature'], `sha256=${signPayload('other', timestamp, body)}`);
+
+  const payload = JSON.parse(body);
+  assert.equal(payload.id, 'evt-1');
+  assert.equal(payload.ruleId, 'deposit');
+  assert.equal(payload.severity, 'warning');
+  assert.match(payload.text, /Deposit detected/);
+  assert.equal(payload.data.delta, 50);
+});
+
+test('webhook does not retry a 4xx', async () => {
+  requests.length = 0;
+  replies.push(400);
+  await assert.rejects(
+    createWebhookNotifier({ renderer }).send(alert, { url: `${baseUrl}/hook`, secret: 's3cret' }),
+    /HTTP 400/
+  );
+  assert.equal(requests.length, 1);
+});
+
+function fakeBot() {
+  const calls = [];
+  let nextId = 100;
+  return {
+    calls,
+    sendMessage: async (chatId, text, options) => {
+      calls.push({ method: 'send', chatId, text, options });
+      nextId += 1;
+      return { message_id: nextId };
+    },
+    editMessageText: async (text, options) => {
+      calls.push({ method: 'edit', text, options });
+      return true;
+    }
+  };
+}
+
+test('threaded Telegram updates edit the first message, critical ones reply to it', async () => {
+  const bot = fakeBot();
+  const threads = createMessageThreads({ store: createStore() });
+  const message = (status, severity = 'info') => ({
+    chatId: '-100', text: status, format: 'plain', severity, thread: { key: 'trade:9', status }
+  });
+
+  await sendTelegram(bot, message('pending'), threads);
+  await sendTelegram(bot, message('partial'), threads);
+  await sendTelegram(bot, message('failed', 'critical'), threads);
+  await sendTelegram(bot, message('executed'), threads);
+
+  assert.deepEqual(bot.calls.map(call => call.method), ['send', 'edit', 'send']);
+  assert.equal(bot.calls[1].options.message_id, 101);
+  assert.equal(bot.calls[2].options.reply_to_message_id, 101);
+  // Later updates follow the reply, and going back from failed is stale
+  assert.deepEqual(threads.get('-100', 'trade:9'), { messageId: 102, status: 'failed' });
+});
@@ -0,0 +1,124 @@
+// Outbox pacing against a fake send and mocked timers: per-chat intervals,
+// 429 pauses, transient retries, digests and forgetting idle chats.
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createOutbox } = require('../lib/outbox');
+const { configureLogger } = require('../lib/logger');
+
+configureLogger({ level: 'error' });
+
+const STEP_MS = 10;
+
+beforeEach(() => mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 }));
+afterEach(() => mock.timers.reset());
+
+function flush() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+// Moves the clock forward in small steps so each send settles before the next timer
+async function advance(ms) {
+  for (let elapsed = 0; elapsed < ms; elapsed += STEP_MS) {
+    mock.timers.tick(STEP_MS);
+    await flush();
+  }
+}
+
+// Records { chatId, text, at } per call; `failures` are thrown by the first calls
+function fakeSend(failures = []) {
+  const sent = [];
+  const send = async message => {
+    sent.push({ chatId: message.chatId, text: message.text, digest: Boolean(message.digest), at: Date.now() });
+    if (failures.length) throw failures.shift();
+  };
+  return { send, sent };
+}
+
+function message(chatId, text, extra = {}) {
+  return { chatId, text, format: 'plain', ...extra };
+}
+
+test('keeps one message per second per private chat and one per three seconds per group', async () => {
+  const { send, sent } = fakeSend();
+  const outbox = createOutbox({ send });
+  outbox.enqueue(message('1', 'a', { category: 'deposit' }));
+  outbox.enqueue(message('1', 'b', { category: 'withdrawal' }));
+  outbox.enqueue(message('-100', 'c', { category: 'deposit' }));
+  outbox.enqueue(message('-100', 'd', { category: 'withdrawal' }));
+
+  await advance(5000);
+  const times = chatId => sent.filter(item => item.chatId === chatId).map(item => item.at);
+  const [privateFirst, privateSecond] = times('1');
+  const [groupFirst, groupSecond] = times('-100');
+  assert.equal(privateSecond - privateFirst, 1000);
+  assert.equal(groupSecond - groupFirst, 3000);
+  assert.equal(outbox.size(), 0);
+});
+
+test('pauses a chat for retry_after on a 429 and then resends', async () => {
+  const rateLimited = Object.assign(new Error('Too Many Requests'), {
+    response: { statusCode: 429, body: { parameters: { retry_after: 5 } } }
+  });
+  const { send, sent } = fakeSend([rateLimited]);
+  const outbox = createOutbox({ send });
+  const delivered = outbox.enqueue(message('1', 'a'));
+
+  await advance(4000);
+  assert.equal(sent.length, 1);
+  await advance(2000);
+  assert.equal(sent.length, 2);
+  assert.equal(sent[1].at - sent[0].at, 5000);
+  await delivered;
+});
+
+test('backs off exponentially on transient errors and gives up on others', async () => {
+  const networkError = Object.assign(new Error('socket hang up'), { code: 'EFATAL' });
+  const { send, sent } = fakeSend([networkError, networkError]);
+  const outbox = createOutbox({ send });
+  const delivered = outbox.enqueue(message('1', 'a'));
+
+  await advance(7000);
+  assert.deepEqual(sent.map(item => item.at - sent[0].at), [0, 2000, 6000]);
+  await delivered;
+
+  const badRequest = Object.assign(new Error('Bad Request'), { response: { statusCode: 400 } });
+  const failing = fakeSend([badRequest]);
+  const rejected = createOutbox({ send: failing.send }).enqueue(message('1', 'b'));
+  const outcome = rejected.then(() => 'sent', err => err);
+  await advance(5000);
+  assert.equal(await outcome, badRequest);
+  assert.equal(failing.sent.length, 1);
+});
+
+test('merges queued alerts of one category into a digest, except in-place edits', async () => {
+  const { send, sent } = fakeSend();
+  const outbox = createOutbox({ send, editsInPlace: item => Boolean(item.thread) });
+  const queued = [
+    outbox.enqueue(message('1', 'first', { category: 'deposit', summary: 'one' })),
+    outbox.enqueue(message('1', 'second', { category: 'deposit', summary: 'two' })),
+    outbox.enqueue(message('1', 'edit', { category: 'deposit', thread: { key: 'trade:1' } })),
+    outbox.enqueue(message('1', 'third', { category: 'deposit', summary: 'three' }))
+  ];
+
+  await advance(3000);
+  assert.equal(sent.length, 2);
+  assert.ok(sent[0].digest);
+  assert.equal(sent[0].text, '📦 3 deposit alerts\n• one\n• two\n• three');
+  assert.deepEqual(sent[1], { chatId: '1', text: 'edit', digest: false, at: sent[1].at });
+  await Promise.all(queued);
+});
+
+test('forgets idle chats once their interval has passed', async () => {
+  const { send } = fakeSend();
+  const outbox = createOutbox({ send });
+  outbox.enqueue(message('1', 'a'));
+  await advance(100);
+  assert.equal(outbox.chatCount(), 1);
+
+  await advance(1000);
+  outbox.enqueue(message('2', 'b'));
+  assert.equal(outbox.chatCount(), 1);
+  await advance(100);
+  await outbox.drain();
+});
@@ -0,0 +1,95 @@
+// Quiet hours: which alerts are held during (overnight) windows and when
+// release() hands them back.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createQuietHours, validateQuietHours } = require('../lib/quiet');
+const { createStore } = require('../lib/store');
+
+const ADMIN = { name: 'admin' };
+const SUPPORT = { name: 'support' };
+
+function quietHours(schedules, timezone = 'UTC') {
+  return createQuietHours({
+    config: validateQuietHours({ timezone, schedules }),
+    store: createStore({ backend: 'memory' })
+  });
+}
+
+function alert(category, severity = 'info') {
+  return { id: `${category}-1`, category, severity, text: category };
+}
+
+// 2024-01-05 is a Friday
+const at = iso => new Date(iso);
+
+test('an overnight window covers the morning after the day it starts on', () => {
+  const quiet = quietHours([{ name: 'night', from: '22:00', to: '07:00', days: ['fri'], categories: ['signup'] }]);
+
+  assert.equal(quiet.hold(alert('signup'), ADMIN, at('2024-01-05T21:59:00Z')), null);
+  assert.equal(quiet.hold(alert('signup'), ADMIN, at('2024-01-05T22:00:00Z')), 'night');
+  assert.equal(quiet.hold(alert('signup'), ADMIN, at('2024-01-06T06:59:00Z')), 'night');
+  assert.equal(quiet.hold(alert('signup'), ADMIN, at('2024-01-06T07:00:00Z')), null);
+  // Friday morning belongs to Thursday's window, Saturday night to Saturday's
+  assert.equal(quiet.hold(alert('signup'), ADMIN, at('2024-01-05T03:00:00Z')), null);
+  assert.equal(quiet.hold(alert('signup'), ADMIN, at('2024-01-06T23:00:00Z')), null);
+  assert.equal(quiet.heldCount(), 2);
+});
+
+test('windows follow the schedule timezone', () => {
+  const quiet = quietHours([{ name: 'night', from: '22:00', to: '07:00', categories: ['*'] }], 'America/New_York');
+  // 02:00 UTC is 21:00 in New York, 04:00 UTC is 23:00
+  assert.equal(quiet.hold(alert('signup'), ADMIN, at('2024-01-05T02:00:00Z')), null);
+  assert.equal(quiet.hold(alert('signup'), ADMIN, at('2024-01-05T04:00:00Z')), 'night');
+});
+
+test('critical alerts, other categories and other destinations are never held', () => {
+  const quiet = quietHours([
+    { name: 'night', from: '22:00', to: '07:00', categories: ['signup'], destinations: ['support'] }
+  ]);
+  const night = at('2024-01-05T23:00:00Z');
+
+  assert.equal(quiet.hold(alert('signup', 'critical'), SUPPORT, night), null);
+  assert.equal(quiet.hold(alert('deposit'), SUPPORT, night), null);
+  assert.equal(quiet.hold(alert('signup'), ADMIN, night), null);
+  assert.equal(quiet.hold(alert('signup'), SUPPORT, night), 'night');
+});
+
+test('release hands back held alerts per destination once their window ends', () => {
+  const quiet = quietHours([
+    { name: 'night', from: '22:00', to: '07:00', categories: ['signup'] },
+    { name: 'weekend', from: '00:00', to: '24:00', days: ['sat', 'sun'], categories: ['mau'] }
+  ]);
+  quiet.hold(alert('signup'), ADMIN, at('2024-01-05T23:00:00Z'));
+  quiet.hold(alert('mau'), ADMIN, at('2024-01-06T01:00:00Z'));
+  quiet.hold(alert('signup'), SUPPORT, at('2024-01-06T01:00:00Z'));
+
+  assert.deepEqual(quiet.release(at('2024-01-06T06:00:00Z')), []);
+
+  const morning = quiet.release(at('2024-01-06T08:00:00Z'));
+  assert.deepEqual(morning.map(({ destination, alerts }) => [destination, alerts.map(a => a.category)]), [
+    ['admin', ['signup']],
+    ['support', ['signup']]
+  ]);
+  assert.equal(quiet.heldCount(), 1);
+
+  const monday = quiet.release(at('2024-01-08T00:00:00Z'));
+  assert.deepEqual(monday.map(({ destination, alerts }) => [destination, alerts.map(a => a.category)]), [
+    ['admin', ['mau']]
+  ]);
+  assert.equal(quiet.heldCount(), 0);
+});
+
+test('alerts held by a removed schedule are released at once', () => {
+  const quiet = quietHours([{ name: 'night', from: '22:00', to: '07:00', categories: ['*'] }]);
+  quiet.hold(alert('signup'), ADMIN, at('2024-01-05T23:00:00Z'));
+  quiet.setConfig(validateQuietHours({}));
+  assert.equal(quiet.release(at('2024-01-05T23:30:00Z'))[0].alerts.length, 1);
+});
+
+test('rejects schedules with bad times, days or timezones', () => {
+  const schedule = { name: 'night', from: '22:00', to: '07:00', categories: ['*'] };
+  assert.throws(() => validateQuietHours({ schedules: [{ ...schedule, from: '25:00' }] }), /"from" as HH:MM/);
+  assert.throws(() => validateQuietHours({ schedules: [{ ...schedule, days: ['friday'] }] }), /unknown day "friday"/);
+  assert.throws(() => validateQuietHours({ schedules: [{ ...schedule, timezone: 'Mars/Base' }] }), /unknown timezone/);
+});
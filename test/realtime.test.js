@@ -0,0 +1,142 @@
+// Realtime reconnect backfill against a fake Supabase channel and query:
+// missed rows are replayed with the remembered old values, rows never seen
+// before replay only their INSERT, remembered rows expire, and status()
+// tracks when the channel was last subscribed.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRealtimeSubscription } = require('../lib/realtime');
+const { createStore } = require('../lib/store');
+const { configureLogger } = require('../lib/logger');
+
+configureLogger({ level: 'error' });
+
+function fakeSupabase(rows) {
+  const channel = {
+    handlers: [],
+    on(type, filter, handler) {
+      channel.handlers.push(handler);
+      return channel;
+    },
+    subscribe(callback) {
+      channel.setStatus = callback;
+      return channel;
+    }
+  };
+  const queried = [];
+  const supabase = {
+    channel: () => channel,
+    removeChannel: async () => {},
+    from(table) {
+      const query = {
+        select: () => query,
+        or: filter => {
+          queried.push({ table, filter });
+          return query;
+        },
+        limit: async () => ({ data: rows[table] || [] })
+      };
+      return query;
+    }
+  };
+  return { supabase, channel, queried };
+}
+
+function waitFor(predicate) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const timer = setInterval(() => {
+      if (predicate()) {
+        clearInterval(timer);
+        resolve();
+      } else if (Date.now() - started > 2000) {
+        clearInterval(timer);
+        reject(new Error('Timed out waiting for backfill'));
+      }
+    }, 5);
+  });
+}
+
+test('replays missed rows after a reconnect using the remembered old values', async () => {
+  const store = createStore({ backend: 'memory' });
+  const later = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const rows = {
+    Users: [
+      { id: 1, amount_deposited: 150, created_at: '2024-01-01T00:00:00Z', updated_at: later },
+      { id: 2, amount_deposited: 500, created_at: '2024-01-01T00:00:00Z', updated_at: later }
+    ],
+    Auto_Trade: [{ id: 9, status: 'failed', created_at: later, updated_at: later }]
+  };
+  const { supabase, channel, queried } = fakeSupabase(rows);
+  const events = [];
+  const realtime = createRealtimeSubscription({
+    supabase,
+    tables: ['Users', 'Auto_Trade'],
+    backfillTables: ['Users', 'Auto_Trade'],
+    store,
+    oldFields: { Users: ['amount_deposited'], Auto_Trade: ['status'] },
+    onEvent: async payload => { events.push(payload); }
+  });
+
+  await realtime.connect();
+  channel.setStatus('SUBSCRIBED');
+  // A live event before the outage is what gets remembered for user 1
+  for (const handler of channel.handlers) {
+    await handler({ table: 'Users', eventType: 'UPDATE', new: { id: 1, amount_deposited: 100 }, old: {} });
+  }
+  events.length = 0;
+
+  channel.setStatus('CLOSED');
+  channel.setStatus('SUBSCRIBED');
+  await waitFor(() => events.length >= 2);
+  await realtime.stop();
+
+  assert.deepEqual(queried.map(q => q.table), ['Users', 'Auto_Trade']);
+  assert.deepEqual(events.map(e => [e.table, e.eventType, e.new.id, e.backfill]), [
+    ['Users', 'UPDATE', 1, true],
+    ['Auto_Trade', 'INSERT', 9, true]
+  ]);
+  assert.deepEqual(events[0].old, { id: 1, amount_deposited: 100 });
+  // The inserted trade is remembered for the next outage
+  assert.deepEqual(store.get('last_rows', 'Auto_Trade:9'), { status: 'failed' });
+  assert.deepEqual(store.get('last_rows', 'Users:1'), { amount_deposited: 150 });
+  assert.equal(store.get('last_rows', 'Users:2'), undefined);
+});
+
+test('remembered rows expire after lastRowsTtlMs', async () => {
+  const store = createStore({ backend: 'memory' });
+  const { supabase, channel } = fakeSupabase({});
+  const realtime = createRealtimeSubscription({
+    supabase,
+    tables: ['Users'],
+    store,
+    oldFields: { Users: ['amount_deposited'] },
+    lastRowsTtlMs: 10,
+    onEvent: async () => {}
+  });
+
+  await realtime.connect();
+  await channel.handlers[0]({ table: 'Users', eventType: 'UPDATE', new: { id: 1, amount_deposited: 100 }, old: {} });
+  assert.deepEqual(store.get('last_rows', 'Users:1'), { amount_deposited: 100 });
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(store.get('last_rows', 'Users:1'), undefined);
+  await realtime.stop();
+});
+
+test('lastSubscribedAt only moves when a subscription ends', async () => {
+  const { supabase, channel } = fakeSupabase({});
+  const realtime = createRealtimeSubscription({ supabase, tables: ['Users'], onEvent: async () => {} });
+
+  await realtime.connect();
+  assert.equal(realtime.status().lastSubscribedAt, null);
+  channel.setStatus('SUBSCRIBED');
+  channel.setStatus('CLOSED');
+  const { lastSubscribedAt } = realtime.status();
+  assert.ok(lastSubscribedAt);
+
+  await new Promise(resolve => setTimeout(resolve, 5));
+  channel.setStatus('CHANNEL_ERROR');
+  channel.setStatus('TIMED_OUT');
+  assert.equal(realtime.status().lastSubscribedAt, lastSubscribedAt);
+  await realtime.stop();
+});
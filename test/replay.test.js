@@ -0,0 +1,37 @@
+// Replays the fixtures in test/fixtures through replay.js and checks every
+// alert against the matching .expected.jsonl file (see lib/replay.js).
+// events.jsonl fires each default rule once, sqs.jsonl covers order,
+// cancellation and settlement messages plus invalid ones.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function replay(name) {
+  return spawnSync(process.execPath, [
+    path.join(ROOT, 'replay.js'),
+    path.join(FIXTURES, `${name}.jsonl`),
+    '--expect', path.join(FIXTURES, `${name}.expected.jsonl`)
+  ], {
+    cwd: ROOT,
+    encoding: 'utf8',
+    timeout: 60000,
+    env: {
+      ...process.env,
+      CHAT_ID: 'replay',
+      WATCHLIST_FILE: path.join(FIXTURES, 'watchlist.json'),
+      LOG_LEVEL: 'error'
+    }
+  });
+}
+
+for (const name of ['events', 'sqs']) {
+  test(`replaying ${name}.jsonl fires the expected alerts`, () => {
+    const result = replay(name);
+    assert.equal(result.status, 0, result.stderr);
+  });
+}
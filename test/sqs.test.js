@@ -0,0 +1,85 @@
+// SQS consumer against an in-memory stand-in for the SQS client: bounded
+// concurrency, visibility extension for slow handlers and draining on stop().
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSQSConsumer } = require('../lib/sqs');
+const { configureLogger } = require('../lib/logger');
+
+configureLogger({ level: 'error' });
+
+// Like AWS.Request: abort() rejects the pending promise
+function request(result) {
+  let timer;
+  let fail;
+  const promise = new Promise((resolve, reject) => {
+    fail = reject;
+    timer = setTimeout(() => resolve(result()), 5);
+  });
+  return {
+    promise: () => promise,
+    abort: () => {
+      clearTimeout(timer);
+      fail(Object.assign(new Error('Request aborted by user'), { code: 'RequestAbortedError' }));
+    }
+  };
+}
+
+function fakeSQS(count) {
+  const queue = Array.from({ length: count }, (_, i) => ({
+    MessageId: `m-${i}`,
+    ReceiptHandle: `r-${i}`,
+    Body: JSON.stringify({ i }),
+    Attributes: { ApproximateReceiveCount: '1' }
+  }));
+  const calls = { deleted: [], extended: 0 };
+  const sqs = {
+    receiveMessage: ({ MaxNumberOfMessages }) => request(() => ({ Messages: queue.splice(0, MaxNumberOfMessages) })),
+    deleteMessage: ({ ReceiptHandle }) => request(() => { calls.deleted.push(ReceiptHandle); return {}; }),
+    changeMessageVisibility: () => request(() => { calls.extended += 1; return {}; })
+  };
+  return { sqs, queue, calls };
+}
+
+test('handles at most `concurrency` messages at once and drains them on stop', async () => {
+  const { sqs, calls } = fakeSQS(20);
+  let active = 0;
+  let peak = 0;
+  const consumer = createSQSConsumer({
+    sqs,
+    queueUrl: 'http://localhost:9324/000000000000/orders',
+    concurrency: 3,
+    handleMessage: async () => {
+      active += 1;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      active -= 1;
+    }
+  });
+
+  consumer.start();
+  await new Promise(resolve => setTimeout(resolve, 120));
+  await consumer.stop();
+
+  assert.equal(peak, 3);
+  assert.equal(active, 0);
+  assert.equal(consumer.status().inFlight, 0);
+  assert.ok(calls.deleted.length >= 3);
+});
+
+test('extends the visibility timeout while a handler is slow', async () => {
+  const { sqs, calls } = fakeSQS(1);
+  const consumer = createSQSConsumer({
+    sqs,
+    queueUrl: 'http://localhost:9324/000000000000/orders',
+    visibilityTimeout: 0.1, // extended every 50ms
+    handleMessage: () => new Promise(resolve => setTimeout(resolve, 180))
+  });
+
+  consumer.start();
+  await new Promise(resolve => setTimeout(resolve, 30));
+  await consumer.stop();
+
+  assert.ok(calls.extended >= 2, `extended ${calls.extended} time(s)`);
+  assert.deepEqual(calls.deleted, ['r-0']);
+});
@@ -0,0 +1,78 @@
+// State store: TTLs, per-namespace limits and the file backend's background
+// and shutdown writes.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../lib/store');
+const { configureLogger } = require('../lib/logger');
+
+configureLogger({ level: 'error' });
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-'));
+  return { dir, file: path.join(dir, 'state.json') };
+}
+
+function readState(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+test('expired entries disappear', async () => {
+  const store = createStore();
+  store.set('dedup', 'a', true, { ttlMs: 10 });
+  store.set('dedup', 'b', true);
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(store.has('dedup', 'a'), false);
+  assert.deepEqual(store.entries('dedup'), [['b', true]]);
+});
+
+test('a full namespace drops its least recently written entry', () => {
+  const store = createStore({ limits: { last_rows: 2 } });
+  store.set('last_rows', 'a', 1);
+  store.set('last_rows', 'b', 2);
+  store.set('last_rows', 'a', 3);
+  store.set('last_rows', 'c', 4);
+  assert.deepEqual(store.entries('last_rows'), [['a', 3], ['c', 4]]);
+  store.set('other', 'x', 1);
+  store.set('other', 'y', 2);
+  store.set('other', 'z', 3);
+  assert.equal(store.entries('other').length, 3);
+});
+
+test('the file backend writes in the background after a change and reloads it', async () => {
+  const { dir, file } = tempFile();
+  try {
+    const store = createStore({ backend: 'file', file, flushDelayMs: 10 });
+    store.set('mutes', 'deposit', { until: 1 });
+    assert.equal(fs.existsSync(file), false);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.deepEqual(readState(file).mutes.deposit.value, { until: 1 });
+
+    const reloaded = createStore({ backend: 'file', file });
+    assert.deepEqual(reloaded.get('mutes', 'deposit'), { until: 1 });
+    assert.deepEqual(fs.readdirSync(dir), ['state.json']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('flush() writes synchronously and wins over a background write still pending', async () => {
+  const { dir, file } = tempFile();
+  try {
+    const store = createStore({ backend: 'file', file, flushDelayMs: 10 });
+    store.set('mutes', 'deposit', 'old');
+    await new Promise(resolve => setTimeout(resolve, 15));
+    // The background write has started; a newer value is flushed at shutdown
+    store.set('mutes', 'deposit', 'new');
+    store.flush();
+    assert.equal(readState(file).mutes.deposit.value, 'new');
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal(readState(file).mutes.deposit.value, 'new');
+    assert.deepEqual(fs.readdirSync(dir), ['state.json']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,89 @@
+// Watched-wallet degradation: success rate and slippage thresholds against a
+// baseline, follower minimums and the per-wallet cooldown.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWalletTracker, slippageOf } = require('../lib/wallets');
+const { createStore } = require('../lib/store');
+
+const HOUR_MS = 60 * 60 * 1000;
+const WALLET = '0xAbC';
+
+function tracker(followerCount = 3) {
+  const wallets = createWalletTracker({ store: createStore({ backend: 'memory' }), minFollowers: 3, minTrades: 4 });
+  wallets.seedFollowers([
+    ...Array.from({ length: followerCount }, (_, i) => ({
+      id: i + 1, user_id: `user-${i}`, wallet_address: WALLET, percent_ratio: 0.5 * (i + 1), is_enabled: true
+    })),
+    { id: 99, user_id: 'user-99', wallet_address: WALLET, percent_ratio: 5, is_enabled: false }
+  ]);
+  return wallets;
+}
+
+// Records `count` trades of the wallet moving into `status` at `at`
+function trades(wallets, at, count, status, prices = {}) {
+  for (let i = 0; i < count; i += 1) {
+    const row = { watched_wallet: WALLET, status, original_price: 1, copied_price: 1, side: 'BUY', ...prices };
+    wallets.record('Auto_Trade', 'UPDATE', { new: row, old: { status: 'pending' } }, at);
+  }
+}
+
+const now = new Date();
+const recent = new Date(now.getTime() - 2 * HOUR_MS);
+const baseline = new Date(now.getTime() - 3 * 24 * HOUR_MS);
+
+test('slippage is positive when the copier got the worse price', () => {
+  assert.equal(slippageOf({ original_price: 1, copied_price: 1.1, side: 'BUY' }).toFixed(2), '0.10');
+  assert.equal(slippageOf({ original_price: 1, copied_price: 0.9, side: 'SELL' }).toFixed(2), '0.10');
+  assert.equal(slippageOf({ original_price: 0, copied_price: 1 }), null);
+});
+
+test('reports a success-rate drop once per cooldown', () => {
+  const wallets = tracker();
+  trades(wallets, baseline, 4, 'executed');
+  trades(wallets, recent, 1, 'executed');
+  trades(wallets, recent, 3, 'failed');
+
+  const changes = wallets.checkDegradation(now);
+  assert.deepEqual(changes.map(change => change.kind), ['success']);
+  const [change] = changes;
+  assert.equal(change.wallet, '0xabc');
+  assert.equal(change.followers, 3);
+  assert.equal(change.avgRatio, 1);
+  assert.equal(change.recent.successPercent, 25);
+  assert.equal(change.baseline.successPercent, 100);
+  assert.equal(change.recentHours, 24);
+  assert.equal(change.baselineDays, 7);
+
+  assert.deepEqual(wallets.checkDegradation(now), []);
+});
+
+test('reports a slippage increase', () => {
+  const wallets = tracker();
+  trades(wallets, baseline, 4, 'executed');
+  trades(wallets, recent, 4, 'executed', { copied_price: 0.95, side: 'SELL' });
+
+  const [change, ...rest] = wallets.checkDegradation(now);
+  assert.deepEqual(rest, []);
+  assert.equal(change.kind, 'slippage');
+  assert.equal(change.recent.slippagePercent, 5);
+  assert.equal(change.baseline.slippagePercent, 0);
+});
+
+test('stays quiet below the thresholds, follower minimum or trade minimum', () => {
+  const small = tracker();
+  trades(small, baseline, 10, 'executed');
+  trades(small, recent, 9, 'executed');
+  trades(small, recent, 1, 'failed');
+  assert.deepEqual(small.checkDegradation(now), []);
+
+  const fewFollowers = tracker(2);
+  trades(fewFollowers, baseline, 4, 'executed');
+  trades(fewFollowers, recent, 4, 'failed');
+  assert.deepEqual(fewFollowers.checkDegradation(now), []);
+
+  const fewTrades = tracker();
+  trades(fewTrades, baseline, 4, 'executed');
+  trades(fewTrades, recent, 3, 'failed');
+  assert.deepEqual(fewTrades.checkDegradation(now), []);
+});